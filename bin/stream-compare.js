@@ -0,0 +1,23 @@
+#!/usr/bin/env node
+/**
+ * Executable script for stream-compare command.
+ *
+ * @copyright Copyright 2026 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ */
+
+'use strict';
+
+const main = require('../cli.js');
+
+// This file was invoked directly.
+main(process.argv, {
+  stdin: process.stdin,
+  stdout: process.stdout,
+  stderr: process.stderr,
+}).then((exitCode) => {
+  process.exitCode = exitCode;
+}).catch((err) => {
+  process.stderr.write(`${err.stack}\n`);
+  process.exitCode = 2;
+});
@@ -0,0 +1,339 @@
+/**
+ * @copyright Copyright 2026 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ * @module stream-compare/cli.js
+ */
+
+'use strict';
+
+const { AssertionError } = require('node:assert');
+const { spawn } = require('node:child_process');
+const { createReadStream } = require('node:fs');
+const { PassThrough, Transform } = require('node:stream');
+const { StringDecoder } = require('node:string_decoder');
+const { isDeepStrictEqual, parseArgs } = require('node:util');
+
+// https://github.com/import-js/eslint-plugin-import/issues/2844
+// eslint-disable-next-line import/extensions
+const streamCompare = require('.');
+const packageJson = require('./package.json');
+
+/** Exit codes, following the conventions of <code>cmp</code> and
+ * <code>diff</code>.
+ *
+ * @enum {number}
+ * @private
+ */
+const ExitCode = {
+  /** The sources are the same. */
+  same: 0,
+  /** The sources differ. */
+  differ: 1,
+  /** An error occurred. */
+  trouble: 2,
+};
+
+const usage = `Usage: stream-compare [options] <source1> <source2>
+
+Compare the output of two files, standard input ("-"), or commands.
+
+Options:
+  -c, --command              Run sources as shell commands, compare output
+      --delay <ms>           Delay after last end event before comparing
+      --events <names>       Comma-separated names of events to compare
+                             (default: none)
+  -h, --help                 Print this help message and exit
+  -n, --object-mode          Compare newline-delimited JSON (NDJSON) values
+  -q, --quiet                Do not print differences (same as --silent)
+      --read-policy <policy> Read policy: flowing, least, lockstep, or none
+                             (default: least)
+  -s, --silent               Do not print differences
+      --stderr               Compare stderr of commands, rather than stdout
+                             (stdout of commands is discarded)
+  -V, --version              Print the version number and exit
+
+Exit status is 0 if the sources are the same, 1 if different, 2 if trouble.
+`;
+
+/** Makes a Transform stream which parses newline-delimited JSON into values.
+ *
+ * Blank lines are ignored.  Lines which are not valid JSON cause an error with
+ * the line number.
+ *
+ * @returns {!module:stream.Transform} Transform stream which parses NDJSON.
+ * @private
+ */
+function makeNdjsonParser() {
+  const decoder = new StringDecoder('utf8');
+  let partial = '';
+  let lineNum = 0;
+
+  function parseLine(line) {
+    lineNum += 1;
+    if (!line.trim()) {
+      return undefined;
+    }
+
+    try {
+      return JSON.parse(line);
+    } catch (err) {
+      err.message = `line ${lineNum}: ${err.message}`;
+      throw err;
+    }
+  }
+
+  function pushLines(stream, lines) {
+    for (const line of lines) {
+      const value = parseLine(line);
+      if (value !== undefined) {
+        stream.push(value);
+      }
+    }
+  }
+
+  return new Transform({
+    readableObjectMode: true,
+    transform(chunk, encoding, callback) {
+      const lines = (partial + decoder.write(chunk)).split('\n');
+      partial = lines.pop();
+      try {
+        pushLines(this, lines);
+      } catch (err) {
+        callback(err);
+        return;
+      }
+      callback();
+    },
+    flush(callback) {
+      try {
+        pushLines(this, [partial + decoder.end()]);
+      } catch (err) {
+        callback(err);
+        return;
+      }
+      callback();
+    },
+  });
+}
+
+/** Compares the names of events recorded for two streams.
+ *
+ * Event arguments are not compared, since they differ between types of
+ * streams (e.g. <code>'close'</code> from a file and a pipe).
+ *
+ * @param {!Array<!{name: string, args: !Array}>} events1 Events from first
+ * stream.
+ * @param {!Array<!{name: string, args: !Array}>} events2 Events from second
+ * stream.
+ * @throws {module:assert.AssertionError} If the events differ.
+ * @private
+ */
+function compareEvents(events1, events2) {
+  const names1 = events1.map((event) => event.name);
+  const names2 = events2.map((event) => event.name);
+  if (!isDeepStrictEqual(names1, names2)) {
+    const describe = (names) => names.join(', ') || '(none)';
+    throw new AssertionError({
+      message: `Events differ:\n  data1: ${describe(names1)}\n  data2: ${
+        describe(names2)}`,
+      actual: names1,
+      expected: names2,
+      operator: 'deepStrictEqual',
+    });
+  }
+}
+
+/** Opens a source given on the command line.
+ *
+ * @param {string} source Command line argument for the source.
+ * @param {!object} argOpts Parsed command-line options.
+ * @param {!object} options Options passed to <code>main</code>.
+ * @returns {!{stream: !module:stream.Readable, close: function()}} Stream to
+ * read and function to release the resources of the source.
+ * @private
+ */
+function openSource(source, argOpts, options) {
+  if (argOpts.command) {
+    const child = spawn(source, {
+      shell: true,
+      stdio: ['ignore', 'pipe', 'pipe'],
+    });
+    let output;
+    if (argOpts.stderr) {
+      output = child.stderr;
+      // Discard stdout, rather than mixing it with errors on stderr
+      child.stdout.resume();
+    } else {
+      output = child.stdout;
+      child.stderr.pipe(options.stderr, { end: false });
+    }
+    // Read output as it is written, since ChildProcess discards unread
+    // output from pipes without a 'readable' listener when the process exits.
+    const readOutput = output.pipe(new PassThrough());
+    output.once('error', (err) => readOutput.destroy(err));
+    // Report spawn errors as errors from the compared stream
+    child.once('error', (err) => readOutput.destroy(err));
+    return {
+      stream: readOutput,
+      close: () => child.kill(),
+    };
+  }
+
+  if (source === '-') {
+    return {
+      stream: options.stdin,
+      close: () => options.stdin.pause(),
+    };
+  }
+
+  const stream = createReadStream(source);
+  return {
+    stream,
+    close: () => stream.destroy(),
+  };
+}
+
+/** Entry point for this command.
+ *
+ * @param {!Array<string>} args Command-line arguments, including the node
+ * executable and script (e.g. <code>process.argv</code>).
+ * @param {!{
+ *   stdin: !module:stream.Readable,
+ *   stdout: !module:stream.Writable,
+ *   stderr: !module:stream.Writable
+ * }} options Options.
+ * @returns {!Promise<number>} Promise for exit code.  Only rejected for
+ * arguments with invalid type (or args.length < 2).
+ */
+module.exports = async function main(args, options) {
+  if (!Array.isArray(args) || args.length < 2) {
+    throw new TypeError('args must be an Array with at least 2 items');
+  }
+
+  if (!options || typeof options !== 'object') {
+    throw new TypeError('options must be an object');
+  }
+
+  for (const streamName of ['stdin', 'stdout', 'stderr']) {
+    if (!options[streamName] || typeof options[streamName] !== 'object') {
+      throw new TypeError(`options.${streamName} must be a stream`);
+    }
+  }
+
+  let argOpts;
+  let sources;
+  try {
+    const parsed = parseArgs({
+      args: args.slice(2),
+      allowPositionals: true,
+      options: {
+        command: { short: 'c', type: 'boolean' },
+        delay: { type: 'string' },
+        events: { type: 'string' },
+        help: { short: 'h', type: 'boolean' },
+        'object-mode': { short: 'n', type: 'boolean' },
+        quiet: { short: 'q', type: 'boolean' },
+        'read-policy': { type: 'string' },
+        silent: { short: 's', type: 'boolean' },
+        stderr: { type: 'boolean' },
+        version: { short: 'V', type: 'boolean' },
+      },
+    });
+    argOpts = parsed.values;
+    sources = parsed.positionals;
+
+    if (!argOpts.help && !argOpts.version && sources.length !== 2) {
+      throw new Error('Expected exactly 2 sources');
+    }
+
+    if (argOpts.delay !== undefined && !/^\d+$/.test(argOpts.delay)) {
+      throw new Error('--delay must be a non-negative integer');
+    }
+
+    if (argOpts.stderr && !argOpts.command) {
+      throw new Error('--stderr requires --command');
+    }
+  } catch (err) {
+    options.stderr.write(
+      `${err.message}\nTry 'stream-compare --help' for more information.\n`,
+    );
+    return ExitCode.trouble;
+  }
+
+  if (argOpts.help) {
+    options.stdout.write(usage);
+    return ExitCode.same;
+  }
+
+  if (argOpts.version) {
+    options.stdout.write(`${packageJson.version}\n`);
+    return ExitCode.same;
+  }
+
+  const objectMode = Boolean(argOpts['object-mode']);
+  const compareOptions = {
+    // Report errors reading sources as trouble, rather than differences
+    abortOnError: true,
+    events: [],
+    incremental: streamCompare.makeIncremental(
+      objectMode ? streamCompare.makeCompareValues()
+        : streamCompare.makeCompareData(),
+      compareEvents,
+    ),
+    objectMode,
+  };
+  if (argOpts.delay !== undefined) {
+    compareOptions.delay = Number(argOpts.delay);
+  }
+  if (argOpts.events !== undefined) {
+    compareOptions.events = argOpts.events.split(',').filter(Boolean);
+  }
+  if (argOpts['read-policy'] !== undefined) {
+    compareOptions.readPolicy = argOpts['read-policy'];
+  }
+
+  const opened = sources.map((source) => openSource(source, argOpts, options));
+  try {
+    const streams = opened.map(({ stream }) => (objectMode
+      ? stream.pipe(makeNdjsonParser())
+      : stream));
+    if (objectMode) {
+      // Propagate errors from sources to parsers, which pipe() does not do
+      for (const [i, { stream }] of opened.entries()) {
+        stream.once('error', (err) => streams[i].destroy(err));
+      }
+    }
+
+    const promise = streamCompare(streams[0], streams[1], compareOptions);
+    if (compareOptions.readPolicy === 'none') {
+      for (const stream of streams) {
+        stream.resume();
+      }
+    }
+    await promise;
+    return ExitCode.same;
+  } catch (err) {
+    if (err instanceof AssertionError) {
+      if (!argOpts.quiet && !argOpts.silent) {
+        // Omit the diff (or comparison, for primitives) of actual and
+        // expected which Node.js appends to the message, since the message
+        // already describes the difference.
+        const diffIndexes = ['\n+ actual - expected', '\n\n']
+          .map((separator) => err.message.indexOf(separator))
+          .filter((index) => index !== -1);
+        const message = diffIndexes.length === 0 ? err.message
+          : err.message.slice(0, Math.min(...diffIndexes));
+        options.stdout.write(`${sources[0]} ${sources[1]} differ: ${
+          message}\n`);
+      }
+      return ExitCode.differ;
+    }
+
+    options.stderr.write(`stream-compare: ${err.message}\n`);
+    return ExitCode.trouble;
+  } finally {
+    for (const { close } of opened) {
+      close();
+    }
+  }
+};
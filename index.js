@@ -7,7 +7,25 @@
 'use strict';
 
 const { EventEmitter } = require('node:events');
-const { debuglog } = require('node:util');
+const { readFileSync } = require('node:fs');
+const { writeFile } = require('node:fs/promises');
+const { finished, isReadable } = require('node:stream');
+const { debuglog, isDeepStrictEqual } = require('node:util');
+
+const appendBuffer = require('./lib/append-buffer.js');
+const normalizeEventArgs = require('./lib/normalize-event-args.js');
+const toResponseStream = require('./lib/response-stream.js');
+const RetainedLimitError = require('./lib/retained-limit-error.js');
+const {
+  ReplayStream,
+  decodeValue,
+  encodeValue,
+} = require('./lib/snapshot.js');
+const STATUS_PROPERTIES = require('./lib/status-properties.js');
+const tee = require('./lib/tee.js');
+const TimeoutError = require('./lib/timeout-error.js');
+const toReadable = require('./lib/to-readable.js');
+const valueToReadable = require('./lib/value-to-readable.js');
 
 const debug = debuglog('stream-compare');
 
@@ -36,14 +54,39 @@ const ReadPolicy = {
    * bytes/chars for non-<code>objectMode</code> or values for
    * <code>objectMode</code>. */
   least: 'least',
+  /** Reads one chunk (or value, for <code>objectMode</code>) from each
+   * stream in turn, skipping streams which have ended.  This keeps the
+   * number of reads from each stream equal, which avoids buffering
+   * unbounded amounts from either stream and allows incremental comparison
+   * of corresponding chunks.  Note that in non-<code>objectMode</code>,
+   * <code>.read()</code> returns all buffered data, so reads may not
+   * correspond to the chunks written to the stream. */
+  lockstep: 'lockstep',
   /** No reads are done.  When using this readPolicy, be sure to either add
    * <code>'data'</code> to events, add other <code>'data'</code> listeners,
    * <code>.read()</code> the data elsewhere, or call <code>.resume()</code> on
    * the streams so that the data will be read and <code>'end'</code> can be
-   * reached. */
+   * reached.  Web API <code>ReadableStream</code>s and async iterables are
+   * read by streams which are not visible to the caller, so those streams are
+   * resumed automatically. */
   none: 'none',
 };
 
+/** A source of values which can be compared:  A
+ * {@link module:stream.Readable} (or other <code>EventEmitter</code>), a Web
+ * API <code>ReadableStream</code>, or an async iterable.
+ *
+ * @typedef {!module:stream.Readable|!ReadableStream|!object} StreamSource
+ */
+
+/** Name of the synthetic event recorded when a stream closes before it ends
+ * (as determined by {@link module:stream.finished}).
+ *
+ * @constant
+ * @private
+ */
+const PREMATURE_CLOSE_EVENT = 'prematureClose';
+
 /** Default option values.
  *
  * @constant
@@ -51,15 +94,47 @@ const ReadPolicy = {
  */
 const DEFAULT_OPTIONS = {
   abortOnError: false,
+  checkpointEvery: 0,
+  checkpointInterval: 0,
+  clone: false,
   delay: 0,
-  endEvents: ['end', 'error'],
+  destroyOnAbort: false,
+  endEvents: ['end', 'error', PREMATURE_CLOSE_EVENT],
+  eventArgs: normalizeEventArgs,
   // Observe Readable events other than 'data' by default
-  events: ['close', 'end', 'error'],
+  events: ['close', 'end', 'error', PREMATURE_CLOSE_EVENT],
+  maxLead: Infinity,
+  maxRetained: Infinity,
   objectMode: false,
   /** @type {!ReadPolicy} */
   readPolicy: 'least',
+  stallTimeout: 0,
+  timeline: false,
+  timeout: 0,
 };
 
+/** Entry in the timeline of a {@link StreamState}, which records either data
+ * read from the stream (with a <code>data</code> property) or an event
+ * emitted by the stream (with <code>name</code> and <code>args</code>
+ * properties).
+ *
+ * @typedef {{
+ *   seq: number,
+ *   time: number,
+ *   data: *,
+ *   name: (string|undefined),
+ *   args: (Array|undefined)
+ * }} TimelineEntry
+ * @property {number} seq Sequence number of the entry, which is shared by all
+ * streams in a comparison, so that entries from each stream can be ordered
+ * relative to each other.
+ * @property {number} time Time (in ms, from {@link performance.now}) when the
+ * data was read or the event was emitted.
+ * @property {*} data Data read from the stream, for data entries.
+ * @property {string=} name Name of the event, for event entries.
+ * @property {Array=} args Arguments of the event, for event entries.
+ */
+
 /** Caller-visible stream state for comparison.
  *
  * Guarantees/Invariants:
@@ -77,8 +152,9 @@ const DEFAULT_OPTIONS = {
  * and their prototype is never used.</p>
  *
  * @class
+ * @param {boolean=} timeline Record a timeline of data and events.
  */
-function StreamState() {
+function StreamState(timeline) {
   /** Has the stream emitted <code>'end'</code> or <code>'error'</code>. */
   this.ended = false;
   /** Events emitted by the stream.
@@ -95,12 +171,48 @@ function StreamState() {
   this.expectEvents = true;
   /** Data returned/emitted by the stream (as an <code>Array</code> if in
    * <code>objectMode</code>).
+   *
+   * String data read after the last call to compare or incremental may not
+   * be appended until the next call, to avoid repeated concatenation.
    *
     @type {Array|Buffer|string} */
   this.data = undefined;
   /** Count of total objects read in <code>objectMode</code>, bytes/chars read
    * otherwise. */
   this.totalDataLen = 0;
+  // Note:  The following status properties are copied from the stream
+  // property of the same name before each comparison, if the stream has it,
+  // so that comparisons can check that the streams terminated the same way.
+  /** Has the stream been destroyed.
+   *
+   * @type {boolean|undefined}
+   */
+  this.destroyed = undefined;
+  /** Error with which the stream was destroyed, normalized as by
+   * {@link streamCompare.normalizeEventArgs} so that it can be round-tripped
+   * to JSON, or <code>null</code>.
+   *
+   * @type {object|null|undefined}
+   */
+  this.errored = undefined;
+  /** Was the stream destroyed or errored before emitting <code>'end'</code>.
+   *
+   * @type {boolean|undefined}
+   */
+  this.readableAborted = undefined;
+  /** Has the stream emitted <code>'end'</code>.
+   *
+   * @type {boolean|undefined}
+   */
+  this.readableEnded = undefined;
+  if (timeline) {
+    /** Data read and events emitted by the stream, in the order they
+     * occurred.  Only present when <code>options.timeline</code> is set.
+     *
+     * @type {!Array<!TimelineEntry>|undefined}
+     */
+    this.timeline = [];
+  }
 }
 
 /** Options for {@link module:stream-compare}.
@@ -108,47 +220,137 @@ function StreamState() {
  * @template CompareResult
  * @typedef {{
  *   abortOnError: boolean|undefined,
+ *   checkpointEvery: number|undefined,
+ *   checkpointInterval: number|undefined,
+ *   clone: (boolean|(function(*): *)|undefined),
  *   compare: ((function(!StreamState,!StreamState): CompareResult)|undefined),
  *   delay: number|undefined,
+ *   destroyOnAbort: boolean|undefined,
  *   endEvents: Array<string>|undefined,
+ *   eventArgs: ((function(!Array, string): !Array)|undefined),
  *   events: Array<string>|undefined,
  *   incremental:
  *     ((function(!StreamState,!StreamState): CompareResult)|undefined),
+ *   maxLead: number|undefined,
+ *   maxRetained: number|undefined,
  *   objectMode: boolean|undefined,
- *   readPolicy: ReadPolicy|undefined
+ *   readPolicy: ReadPolicy|undefined,
+ *   signal: AbortSignal|undefined,
+ *   stallTimeout: number|undefined,
+ *   stderr: object|undefined,
+ *   stdout: object|undefined,
+ *   timeline: boolean|undefined,
+ *   timeout: number|undefined
  * }} StreamCompareOptions
  * @property {boolean=} abortOnError Abort comparison and return error emitted
  * by either stream.  (default: <code>false</code>)
+ * @property {number=} checkpointEvery Amount of data, in bytes/chars for
+ * non-<code>objectMode</code> or values for <code>objectMode</code>, read
+ * from all streams after which compare is called, as if by
+ * {@link StreamComparePromise#checkpoint}, or <code>0</code> for no
+ * data-based checkpoints.  (default: <code>0</code>)
+ * @property {number=} checkpointInterval Time (in ms) between calls to
+ * compare, as if by {@link StreamComparePromise#checkpoint}, until the
+ * comparison finishes, or <code>0</code> for no timed checkpoints.  The timer
+ * does not keep the event loop active.  (default: <code>0</code>)
+ * @property {(boolean|function(*): *)=} clone Function which is called to
+ * copy each value read in <code>objectMode</code> and each recorded event
+ * argument (after <code>eventArgs</code>), or <code>true</code> to copy them
+ * using {@link structuredClone}.  This prevents later mutation of the values
+ * (e.g. by a producer which reuses objects) from affecting the comparison.
+ * If it throws, the comparison is rejected with the error.
+ * (default: <code>false</code>)
  * @property {function(!StreamState,!StreamState)=} compare Comparison function
- * which will be called with a StreamState object for each stream, after both
- * streams have ended.  The value returned by this function will resolve the
+ * which will be called with a StreamState object for each stream (or an Array
+ * of StreamState objects, for {@link streamCompare.all}), after all streams
+ * have ended.  The value returned by this function will resolve the
  * returned promise and be passed to the callback as its second argument.  A
  * value thrown by this function will reject the promise and be passed to the
- * callback as its first argument.  This function is required if incremental is
- * not specified.
- * @property {number=} delay Delay (in ms) after both streams have emitted
+ * callback as its first argument.  If this function returns a thenable (e.g. a
+ * <code>Promise</code>), its fulfillment value or rejection reason is handled
+ * as if it were returned or thrown.  This function is required if incremental
+ * is not specified.
+ * @property {number=} delay Delay (in ms) after all streams have emitted
  * their last expected event before comparing. (default: <code>0</code>)
+ * @property {boolean=} destroyOnAbort Destroy the streams when the comparison
+ * is aborted by <code>signal</code>.  (default: <code>false</code>)
  * @property {Array<string>=} endEvents Names of events which signal the end of
- * a stream.  Final compare is performed once both streams have emitted an end
- * event.  (default: <code>['end', 'error']</code>)
+ * a stream.  Final compare is performed once all streams have emitted an end
+ * event.  <code>'prematureClose'</code> is a synthetic event which occurs
+ * when a stream closes before emitting <code>'end'</code> or
+ * <code>'error'</code> (as determined by {@link module:stream.finished}).
+ * (default: <code>['end', 'error', 'prematureClose']</code>)
+ * @property {function(!Array, string): !Array=} eventArgs Function which is
+ * called with the arguments and name of each event in <code>events</code> and
+ * returns the arguments to record.  The default,
+ * {@link streamCompare.normalizeEventArgs}, reduces Errors, Buffers, and
+ * cyclic objects to values which are deep-equal when equivalent and can be
+ * round-tripped to JSON.  To record the arguments unchanged, use
+ * <code>(args) => args</code>.
+ * (default: <code>streamCompare.normalizeEventArgs</code>)
  * @property {Array<string>=} events Names of events to compare.
- * (default: <code>['close', 'end', 'error']</code>)
+ * Synthetic <code>'prematureClose'</code> events (as described for
+ * <code>endEvents</code>) are recorded with no arguments.
+ * (default: <code>['close', 'end', 'error', 'prematureClose']</code>)
  * @property {function(!StreamState,!StreamState)=} incremental Incremental
- * comparison function which will be called periodically with a StreamState
- * object for each stream.  This function may modify the StreamState objects to
+ * comparison function which will be called periodically with the StreamState
+ * objects, as for compare.  This function may modify the StreamState objects to
  * remove data not required for later comparisons (e.g. common output) and may
  * perform the comparison before the streams have ended (e.g. due to early
  * differences).  Any non-null, non-undefined value returned by this function
  * will finish the comparison, resolve the returned promise, and be passed to
  * the callback as its second argument. A value thrown by this function will
  * finish the comparison, reject the promise and be passed to the callback as
- * its first argument.  If compare is not specified, this function will also be
- * called for the final comparison.
+ * its first argument.  If this function returns a thenable (e.g. a
+ * <code>Promise</code>), reads are paused and further comparisons are deferred
+ * until it settles, then its fulfillment value or rejection reason is handled
+ * as if it were returned or thrown.  If compare is not specified, this
+ * function will also be called for the final comparison.
+ * @property {number=} maxLead Maximum amount of data, in bytes/chars for
+ * non-<code>objectMode</code> or values for <code>objectMode</code>, which
+ * a stream may be read ahead of the non-ended stream which has been read the
+ * least, when <code>readPolicy</code> is <code>'flowing'</code>.  A stream
+ * which gets further ahead is paused until the others catch up or end.
+ * Note that a stream may get further ahead by up to one chunk before it is
+ * paused.  (default: <code>Infinity</code>)
+ * @property {number=} maxRetained Maximum amount of state which may be
+ * retained for each stream, as the number of bytes/chars (or values, for
+ * <code>objectMode</code>) in <code>data</code> plus the number of
+ * <code>events</code>, after any incremental comparison.  If exceeded, the
+ * comparison is rejected with a {@link RetainedLimitError}.  This guards
+ * against unbounded memory use when <code>incremental</code> is not set or
+ * does not remove compared data.  (default: <code>Infinity</code>)
  * @property {boolean=} objectMode Collect values read into an Array.  This
  * allows comparison of read values without concatenation and comparison of
- * non-string/Buffer types.
+ * non-string/Buffer types.  When not set, values read from a
+ * <code>ReadableStream</code> or async iterable are converted to Buffers.
  * @property {ReadPolicy=} readPolicy Scheduling discipline for reads from th
  * streams.  (default: <code>'least'</code>)
+ * @property {AbortSignal=} signal Signal which aborts the comparison.  When
+ * aborted, all listeners are removed from the streams and the returned promise
+ * is rejected with the abort reason, without calling compare or incremental.
+ * @property {number=} stallTimeout Time (in ms) after which the comparison
+ * is rejected with a {@link TimeoutError} if no data has been read and no
+ * events have been emitted by any stream, or <code>0</code> for no limit.
+ * Time while an asynchronous <code>compare</code> or <code>incremental</code>
+ * is pending is not counted.  (default: <code>0</code>)
+ * @property {object=} stderr Options which take precedence over these options
+ * for comparing stderr in {@link streamCompare.processes}.  Ignored
+ * elsewhere.
+ * @property {object=} stdout Options which take precedence over these options
+ * for comparing stdout in {@link streamCompare.processes}.  Ignored
+ * elsewhere.
+ * @property {boolean=} timeline Record the data read and the events in
+ * <code>events</code> (and their arguments) in the <code>timeline</code>
+ * property of each StreamState, in the order they occurred, with a timestamp
+ * and a sequence number which is shared by all streams.  This allows
+ * comparing the order and timing of data and events within and between
+ * streams.  Entries are not removed by <code>makeIncremental</code>, so an
+ * incremental comparison should remove entries which are not needed for
+ * later comparisons.  (default: <code>false</code>)
+ * @property {number=} timeout Time (in ms) after which an unfinished
+ * comparison is rejected with a {@link TimeoutError}, or <code>0</code> for no
+ * limit.  (default: <code>0</code>)
  */
 // var StreamCompareOptions;
 
@@ -160,21 +362,16 @@ function StreamState() {
  * @augments Promise<CompareResult>
  */
 // var StreamComparePromise;
-
-/**
- * Compares the output of two Readable streams.
+/** Gets options, with default values, from an options or compare argument.
  *
  * @template CompareResult
- * @param {!module:stream.Readable} stream1 First stream to compare.
- * @param {!module:stream.Readable} stream2 Second stream to compare.
- * @param {!StreamCompareOptions<CompareResult>|
- * function(!StreamState,!StreamState): CompareResult} optionsOrCompare
- * Options, or a comparison function (as described in
- * {@link StreamCompareOptions#compare}).
- * @returns {StreamComparePromise<CompareResult>} A <code>Promise</code> with
- * the comparison result or error.
+ * @param {StreamCompareOptions<CompareResult>|function(...*): CompareResult=}
+ * optionsOrCompare Options, or a comparison function.
+ * @returns {!StreamCompareOptions<CompareResult>} Options with default values
+ * for any which were not specified.
+ * @private
  */
-function streamCompare(stream1, stream2, optionsOrCompare) {
+function getOptions(optionsOrCompare) {
   let options;
   if (optionsOrCompare) {
     if (typeof optionsOrCompare === 'function') {
@@ -188,19 +385,88 @@ function streamCompare(stream1, stream2, optionsOrCompare) {
 
   options = { ...DEFAULT_OPTIONS, ...options };
   options.compare ||= options.incremental;
+  return options;
+}
 
-  // Can change this to duck typing if there are non-EventEmitter streams
-  if (!(stream1 instanceof EventEmitter)) {
-    throw new TypeError('stream1 must be an EventEmitter');
+/** Resumes the streams created to read sources which are not Node.js
+ * streams, for <code>readPolicy</code> <code>'none'</code>.
+ *
+ * Since these streams are not visible to the caller, they can not be read or
+ * resumed by the caller, as is required for <code>'none'</code>.
+ *
+ * @param {!Array<!StreamSource>} sources Sources passed by the caller.
+ * @param {!Array<!module:stream.Readable>} streams Streams which read each
+ * source, as returned by <code>toReadable</code>.
+ * @private
+ */
+function resumeCreatedStreams(sources, streams) {
+  for (const [i, stream] of streams.entries()) {
+    if (stream !== sources[i]) {
+      stream.resume();
+    }
   }
-  // Can change this to duck typing if there are non-EventEmitter streams
-  if (!(stream2 instanceof EventEmitter)) {
-    throw new TypeError('stream2 must be an EventEmitter');
+}
+
+/** Calls a Node-style callback once a promise settles.
+ *
+ * The callback is called outside of the promise chain, so that an exception
+ * thrown by the callback is not converted into a rejection.  Since the
+ * promise has a rejection handler, it does not cause an unhandled rejection
+ * if the caller only uses the callback.
+ *
+ * @template Result
+ * @param {!Promise<Result>} promise Promise which calls the callback.
+ * @param {function(*, Result=)} callback Function called with the rejection
+ * reason, or with <code>null</code> and the fulfillment value.
+ * @private
+ */
+function callbackOnSettle(promise, callback) {
+  // Note:  Node-style callbacks are called with null when there is no error.
+  /* eslint-disable promise/no-callback-in-promise, unicorn/no-null */
+  promise
+    .then((result) => { queueMicrotask(() => callback(null, result)); })
+    .catch((err) => { queueMicrotask(() => callback(err)); });
+  /* eslint-enable promise/no-callback-in-promise, unicorn/no-null */
+}
+
+/** Compares the output of Readable streams.
+ *
+ * Implements {@link streamCompare} and {@link streamCompare.all}.
+ *
+ * @template CompareResult
+ * @param {!Array<!StreamSource>} streams Streams to compare.
+ * @param {!StreamCompareOptions<CompareResult>|
+ * function(...(!StreamState|!Array<!StreamState>)): CompareResult}
+ * optionsOrCompare Options, or a comparison function (as described in
+ * {@link StreamCompareOptions#compare}).
+ * @param {boolean} spreadStates Call comparison functions with one StreamState
+ * argument per stream, rather than with an Array of StreamState.
+ * @param {function(*, CompareResult=)=} callback Function called with the
+ * comparison error, or with <code>null</code> and the comparison result.
+ * @returns {StreamComparePromise<CompareResult>} A <code>Promise</code> with
+ * the comparison result or error.
+ * @private
+ */
+function compareStreams(streams, optionsOrCompare, spreadStates, callback) {
+  if (callback !== undefined && typeof callback !== 'function') {
+    throw new TypeError('callback must be a function');
   }
-  if (options.readPolicy === 'least'
-    && (typeof stream1.read !== 'function'
-      || typeof stream2.read !== 'function')) {
-    throw new TypeError('streams must have .read() for readPolicy \'least\'');
+  const options = getOptions(optionsOrCompare);
+
+  const names = streams.map((stream, i) => `stream${i + 1}`);
+  const sources = streams;
+  streams = streams.map((stream) => toReadable(stream, options.objectMode));
+  for (const [i, stream] of streams.entries()) {
+    // Can change this to duck typing if there are non-EventEmitter streams
+    if (!(stream instanceof EventEmitter)) {
+      throw new TypeError(`${names[i]
+      } must be an EventEmitter, ReadableStream, or async iterable`);
+    }
+  }
+  if ((options.readPolicy === 'least' || options.readPolicy === 'lockstep')
+    && streams.some((stream) => typeof stream.read !== 'function')) {
+    throw new TypeError(`streams must have .read() for readPolicy '${
+      options.readPolicy}'`);
   }
   if (typeof options.compare !== 'function') {
     throw new TypeError('options.compare must be a function');
@@ -217,6 +483,13 @@ function streamCompare(stream1, stream2, optionsOrCompare) {
     throw new TypeError('options.events must be Array-like');
   }
   options.events = Array.prototype.slice.call(options.events);
+  if (typeof options.clone !== 'boolean'
+    && typeof options.clone !== 'function') {
+    throw new TypeError('options.clone must be a boolean or function');
+  }
+  if (typeof options.eventArgs !== 'function') {
+    throw new TypeError('options.eventArgs must be a function');
+  }
   if (options.incremental && typeof options.incremental !== 'function') {
     throw new TypeError('options.incremental must be a function');
   }
@@ -227,6 +500,25 @@ function streamCompare(stream1, stream2, optionsOrCompare) {
     throw new RangeError(`Invalid options.readPolicy '${
       options.readPolicy}'`);
   }
+  if (options.signal !== undefined
+    && !(options.signal instanceof AbortSignal)) {
+    throw new TypeError('options.signal must be an AbortSignal');
+  }
+  for (const optionName of [
+    'checkpointEvery',
+    'checkpointInterval',
+    'maxLead',
+    'maxRetained',
+    'stallTimeout',
+    'timeout',
+  ]) {
+    if (typeof options[optionName] !== 'number') {
+      throw new TypeError(`options.${optionName} must be a number`);
+    }
+    if (!(options[optionName] >= 0)) {
+      throw new RangeError(`options.${optionName} must be non-negative`);
+    }
+  }
 
   let reject;
   let resolve;
@@ -235,23 +527,87 @@ function streamCompare(stream1, stream2, optionsOrCompare) {
     resolve = resolveArg;
     reject = rejectArg;
   });
-  const state1 = new StreamState();
-  const state2 = new StreamState();
+  const states = streams.map(() => new StreamState(options.timeline));
+  /** Storage for Buffer data of each state.
+   *
+   * @type {!Map<!StreamState, !{buffer: (Buffer|undefined), length: number}>}
+   * @private
+   */
+  const appendStorages =
+    new Map(states.map((state) => [state, { buffer: undefined, length: 0 }]));
+  /** Strings read since the last comparison for each state.
+   *
+   * @type {!Map<!StreamState, !Array<string>>}
+   * @private
+   */
+  const pendingStrings = new Map(states.map((state) => [state, []]));
   let isDone = false;
-  const listeners1 = {};
-  const listeners2 = {};
-  let lastEventImmediate1;
-  let lastEventImmediate2;
+  const listeners = streams.map(() => ({}));
+  const lastEventImmediates = [];
+  const dataListeners = [];
+  const lastEventNames = [];
+  let readableWaitIndex = -1;
+  let timelineSeq = 0;
+  /** Function to copy values as they are recorded, if any.
+   *
+   * @type {((function(*): *)|undefined)}
+   * @private
+   */
+  const cloneValue =
+    options.clone === true ? structuredClone : options.clone || undefined;
+  /** Is an asynchronous compare or incremental pending?
+   *
+   * @private
+   */
+  let isComparePending = false;
+  /** Comparisons requested while an asynchronous comparison was pending.
+   *
+   * @type {!Array<!{compareFn: function(...*): *, type: CompareType}>}
+   * @private
+   */
+  const queuedCompares = [];
+  /** Streams paused while an asynchronous comparison is pending.
+   *
+   * @private
+   */
+  const pausedStreams = [];
+  /** Streams paused for being more than options.maxLead ahead.
+   *
+   * @type {!Set<!module:stream.Readable>}
+   * @private
+   */
+  const leadPausedStreams = new Set();
+  /** Number of reads from each stream, for readPolicy 'lockstep'.
+   *
+   * @private
+   */
+  const readCounts = streams.map(() => 0);
+  /** Functions to remove the {@link module:stream.finished} listeners from
+   * each stream.
+   *
+   * @type {!Array<function()>}
+   * @private
+   */
+  const finishedCleanups = [];
+  /** Amount of data read from all streams since the last checkpoint caused
+   * by options.checkpointEvery.
+   *
+   * @type {number}
+   * @private
+   */
+  let dataSinceCheckpoint = 0;
+  let checkpointInterval;
   let postEndTimeout;
+  let stallTimeout;
+  let timeout;
 
   /** Gets the name of a stream for logging purposes.
    *
    * @private
    */
   function streamName(stream) {
-    return stream === stream1 ? 'stream1'
-      : stream === stream2 ? 'stream2'
-        : 'unknown stream';
+    const i = streams.indexOf(stream);
+    return i === -1 ? 'unknown stream' : names[i];
   }
 
   function done() {
@@ -261,31 +617,48 @@ function streamCompare(stream1, stream2, optionsOrCompare) {
 
     /* eslint-disable no-use-before-define */
 
-    for (const eventName of Object.keys(listeners1)) {
-      stream1.removeListener(eventName, listeners1[eventName]);
-    }
-    stream1.removeListener('readable', readNext);
-    stream1.removeListener('error', onStreamError);
-    stream1.removeListener('end', readNextOnEnd);
-    for (const eventName of options.endEvents) {
-      stream1.removeListener(eventName, endListener1);
+    for (const [i, stream] of streams.entries()) {
+      const streamListeners = listeners[i];
+      for (const eventName of Object.keys(streamListeners)) {
+        stream.removeListener(eventName, streamListeners[eventName]);
+      }
+      if (dataListeners[i]) {
+        stream.removeListener('data', dataListeners[i]);
+      }
+      stream.removeListener('readable', readNext);
+      stream.removeListener('error', onStreamError);
+      for (const eventName of options.endEvents) {
+        stream.removeListener(eventName, endListeners[i]);
+        stream.removeListener(eventName, readNextOnEnd);
+      }
     }
 
-    for (const eventName of Object.keys(listeners2)) {
-      stream2.removeListener(eventName, listeners2[eventName]);
+    for (const finishedCleanup of finishedCleanups) {
+      finishedCleanup();
     }
-    stream2.removeListener('readable', readNext);
-    stream2.removeListener('error', onStreamError);
-    stream2.removeListener('end', readNextOnEnd);
-    for (const eventName of options.endEvents) {
-      stream2.removeListener(eventName, endListener2);
+
+    if (options.signal) {
+      options.signal.removeEventListener('abort', onAbort);
     }
 
     /* eslint-enable no-use-before-define */
 
-    clearImmediate(lastEventImmediate1);
-    clearImmediate(lastEventImmediate2);
+    // Don't leave streams paused by maxLead (those paused for a pending
+    // compare are resumed when it settles).
+    for (const stream of leadPausedStreams) {
+      if (!pausedStreams.includes(stream)) {
+        stream.resume();
+      }
+    }
+    leadPausedStreams.clear();
+
+    for (const lastEventImmediate of lastEventImmediates) {
+      clearImmediate(lastEventImmediate);
+    }
+    clearInterval(checkpointInterval);
     clearTimeout(postEndTimeout);
+    clearTimeout(stallTimeout);
+    clearTimeout(timeout);
 
     debug('Comparison finished.');
   }
@@ -296,27 +669,136 @@ function streamCompare(stream1, stream2, optionsOrCompare) {
     done();
   }
 
-  function doCompare(compareFn, type) {
-    debug('Performing %s compare.', type);
+  function onAbort() {
+    const { reason } = options.signal;
+    debug('Comparison aborted.', reason);
+    reject(reason);
+    done();
 
-    let hasResultOrError = false;
-    try {
-      const result = compareFn(state1, state2);
-      if (result !== undefined && result !== null) {
-        debug('Comparison produced a result:', result);
-        hasResultOrError = true;
-        resolve(result);
+    if (options.destroyOnAbort) {
+      debug('Destroying streams...');
+      for (const stream of streams) {
+        if (typeof stream.destroy === 'function') {
+          stream.destroy();
+        }
       }
-    } catch (err) {
-      debug('Comparison produced an error:', err);
-      hasResultOrError = true;
+    }
+  }
+
+  function onTimeout(message) {
+    const err = new TimeoutError(message, states.map((state, i) => ({
+      name: names[i],
+      ended: state.ended,
+      expectEvents: state.expectEvents,
+      lastEvent: lastEventNames[i],
+      totalDataLen: state.totalDataLen,
+      waitingForReadable: readableWaitIndex === i,
+    })));
+    debug('Comparison timed out.', err);
+    reject(err);
+    done();
+  }
+
+  /** Gets the amount of state retained for a stream.
+   *
+   * @param {number} index Index of the stream.
+   * @returns {!{name: string, dataLen: number, eventsLen: number}} Amount of
+   * state retained.
+   * @private
+   */
+  function getRetainedInfo(index) {
+    const state = states[index];
+    const { data } = state;
+    let dataLen = 0;
+    if (data !== null && data !== undefined) {
+      dataLen = typeof data.length === 'number' ? data.length : 1;
+    }
+    for (const string of pendingStrings.get(state)) {
+      dataLen += string.length;
+    }
+
+    return {
+      name: names[index],
+      dataLen,
+      eventsLen: state.events ? state.events.length : 0,
+    };
+  }
+
+  /** Rejects the comparison if more than options.maxRetained state is
+   * retained for a stream.
+   *
+   * @param {number} index Index of the stream which received data or events.
+   * @private
+   */
+  function checkRetained(index) {
+    if (isDone || options.maxRetained === Infinity) {
+      return;
+    }
+
+    const info = getRetainedInfo(index);
+    if (info.dataLen + info.eventsLen > options.maxRetained) {
+      const err = new RetainedLimitError(
+        `State retained for ${names[index]} exceeds maxRetained (${
+          options.maxRetained}).`,
+        streams.map((stream, i) => getRetainedInfo(i)),
+        Boolean(options.incremental),
+      );
+      debug('Comparison exceeded maxRetained.', err);
       reject(err);
+      done();
     }
+  }
+
+  /** Starts (or restarts) the timer for options.stallTimeout.
+   *
+   * @private
+   */
+  function startStallTimeout() {
+    clearTimeout(stallTimeout);
+    stallTimeout = setTimeout(
+      onTimeout,
+      options.stallTimeout,
+      `No data or events from any stream for ${options.stallTimeout}ms.`,
+    );
+  }
 
-    if (hasResultOrError) {
+  /** Notes that data or events have been received from a stream.
+   *
+   * @private
+   */
+  function onProgress() {
+    // Note:  stallTimeout is stopped while a compare is pending
+    if (stallTimeout && !isComparePending) {
+      stallTimeout.refresh();
+    }
+  }
+
+  /** Handles the result of a comparison by settling the returned promise, if
+   * the comparison produced a result or error or was the last comparison.
+   *
+   * @param {CompareType} type Type of comparison which was performed.
+   * @param {*} resultOrError Value returned or thrown by the comparison.
+   * @param {boolean} isError Was <code>resultOrError</code> thrown?
+   * @returns {boolean} <code>true</code> if the returned promise was settled,
+   * <code>false</code> otherwise.
+   * @private
+   */
+  function handleCompareResult(type, resultOrError, isError) {
+    if (isError) {
+      debug('Comparison produced an error:', resultOrError);
+      reject(resultOrError);
       done();
       return true;
-    } if (type === CompareType.last) {
+    }
+
+    if (resultOrError !== undefined && resultOrError !== null) {
+      debug('Comparison produced a result:', resultOrError);
+      resolve(resultOrError);
+      done();
+      return true;
+    }
+
+    if (type === CompareType.last) {
       resolve();
       done();
       return true;
@@ -325,7 +807,119 @@ function streamCompare(stream1, stream2, optionsOrCompare) {
     return false;
   }
 
-  /** Compares the states of the two streams non-incrementally.
+  function doCompare(compareFn, type) {
+    if (isComparePending) {
+      const lastQueued = queuedCompares.at(-1);
+      // Note:  Each comparison sees all current state.  No need to repeat.
+      if (!lastQueued
+        || lastQueued.compareFn !== compareFn
+        || lastQueued.type !== type) {
+        debug('Queueing %s compare until pending compare settles.', type);
+        queuedCompares.push({ compareFn, type });
+      }
+      return false;
+    }
+
+    debug('Performing %s compare.', type);
+
+    for (const [i, state] of states.entries()) {
+      // eslint-disable-next-line no-use-before-define
+      flushStrings.call(state);
+      for (const propName of STATUS_PROPERTIES) {
+        if (propName in streams[i]) {
+          const value = streams[i][propName];
+          state[propName] = propName === 'errored' && value
+            ? normalizeEventArgs([value])[0]
+            : value;
+        }
+      }
+    }
+
+    let result;
+    try {
+      result = spreadStates ? compareFn(...states) : compareFn(states);
+    } catch (err) {
+      return handleCompareResult(type, err, true);
+    }
+
+    if (result !== null
+      && (typeof result === 'object' || typeof result === 'function')
+      && typeof result.then === 'function') {
+      debug('Comparison is pending.  Pausing reads.');
+      isComparePending = true;
+      // Streams are not expected to make progress while reads are paused
+      clearTimeout(stallTimeout);
+      if (options.readPolicy === 'flowing') {
+        for (const stream of streams) {
+          if (typeof stream.pause === 'function') {
+            stream.pause();
+            pausedStreams.push(stream);
+          }
+        }
+      }
+
+      // Note:  settleCompare handles rejection and does not throw.
+      // eslint-disable-next-line promise/catch-or-return
+      Promise.resolve(result).then(
+        // eslint-disable-next-line no-use-before-define
+        (value) => settleCompare(type, value, false),
+        // eslint-disable-next-line no-use-before-define
+        (err) => settleCompare(type, err, true),
+      );
+      return false;
+    }
+
+    return handleCompareResult(type, result, false);
+  }
+
+  /** Handles settlement of an asynchronous comparison by handling its result
+   * then performing any comparisons which were queued while it was pending
+   * and resuming reads.
+   *
+   * @param {CompareType} type Type of comparison which was performed.
+   * @param {*} resultOrError Value fulfilled or rejected by the comparison.
+   * @param {boolean} isError Was the comparison rejected?
+   * @private
+   */
+  function settleCompare(type, resultOrError, isError) {
+    debug('Pending %s compare settled.', type);
+    isComparePending = false;
+
+    for (const stream of pausedStreams) {
+      if (!leadPausedStreams.has(stream)) {
+        stream.resume();
+      }
+    }
+    pausedStreams.length = 0;
+
+    if (isDone) {
+      debug('Ignoring compare result after settling.');
+      return;
+    }
+
+    if (handleCompareResult(type, resultOrError, isError)) {
+      return;
+    }
+
+    if (options.stallTimeout) {
+      startStallTimeout();
+    }
+
+    while (queuedCompares.length > 0 && !isComparePending && !isDone) {
+      const queued = queuedCompares.shift();
+      doCompare(queued.compareFn, queued.type);
+    }
+
+    if (!isComparePending
+      && !isDone
+      && (options.readPolicy === 'least' || options.readPolicy === 'lockstep')
+      && readableWaitIndex === -1) {
+      // eslint-disable-next-line no-use-before-define
+      readNext();
+    }
+  }
+
+  /** Compares the states of the streams non-incrementally.
    *
    * @function
    * @name StreamComparePromise#checkpoint
@@ -339,7 +933,7 @@ function streamCompare(stream1, stream2, optionsOrCompare) {
     doCompare(options.compare, CompareType.checkpoint);
   };
 
-  /** Compares the states of the two streams non-incrementally then ends the
+  /** Compares the states of the streams non-incrementally then ends the
    * comparison whether or not compare produced a result or error.
    *
    * @function
@@ -354,17 +948,17 @@ function streamCompare(stream1, stream2, optionsOrCompare) {
     doCompare(options.compare, CompareType.last);
   };
 
-  function lastEventListener(stream, state) {
-    debug(`Not expecting more events from ${streamName(stream)}.`);
+  function lastEventListener(index) {
+    debug(`Not expecting more events from ${names[index]}.`);
 
-    state.expectEvents = false;
+    states[index].expectEvents = false;
 
     if (options.incremental
       && doCompare(options.incremental, CompareType.incremental)) {
       return;
     }
 
-    if (!state1.expectEvents && !state2.expectEvents) {
+    if (states.every((state) => !state.expectEvents)) {
       const postEventsCompare =
         () => doCompare(options.compare, CompareType.last);
       if (options.delay) {
@@ -377,25 +971,32 @@ function streamCompare(stream1, stream2, optionsOrCompare) {
     }
   }
 
-  function anyEventListener1() {
+  function anyEventListener(index) {
     // If waiting for the last event on this stream, move to end of queue.
-    if (lastEventImmediate1) {
-      clearImmediate(lastEventImmediate1);
-      lastEventImmediate1 = setImmediate(lastEventListener, stream1, state1);
+    if (lastEventImmediates[index]) {
+      clearImmediate(lastEventImmediates[index]);
+      lastEventImmediates[index] = setImmediate(lastEventListener, index);
     }
   }
 
-  function anyEventListener2() {
-    // If waiting for the last event on this stream, move to end of queue.
-    if (lastEventImmediate2) {
-      clearImmediate(lastEventImmediate2);
-      lastEventImmediate2 = setImmediate(lastEventListener, stream2, state2);
-    }
+  /** Adds an entry to the timeline of a stream state.
+   *
+   * @this {!StreamState}
+   * @param {!object} entry Data or event properties of the entry.
+   * @private
+   */
+  function addTimelineEntry(entry) {
+    this.timeline.push({
+      seq: timelineSeq,
+      time: performance.now(),
+      ...entry,
+    });
+    timelineSeq += 1;
   }
 
   // Note:  Add event listeners before endListeners so end/error is recorded
   for (const eventName of options.events) {
-    if (listeners1[eventName]) {
+    if (listeners[0][eventName]) {
       continue;
     }
 
@@ -404,40 +1005,54 @@ function streamCompare(stream1, stream2, optionsOrCompare) {
       continue;
     }
 
-    function listener(...args) {
+    function listener(...eventArgs) {
+      let args;
+      try {
+        args = options.eventArgs(eventArgs, eventName);
+        if (cloneValue) {
+          args = args.map((arg) => cloneValue(arg));
+        }
+      } catch (err) {
+        debug(`Error recording '${eventName}' event`, err);
+        reject(err);
+        done();
+        return;
+      }
+
       this.events.push({
         name: eventName,
         args,
       });
+      if (this.timeline) {
+        addTimelineEntry.call(this, { name: eventName, args });
+      }
 
       if (options.incremental) {
         doCompare(options.incremental, CompareType.incremental);
       }
     }
 
-    function listener1(...args) {
-      debug(`'${eventName}' event from stream1.`);
-      listener.apply(state1, args);
-      anyEventListener1();
-    }
-    listeners1[eventName] = listener1;
-    stream1.on(eventName, listener1);
-
-    function listener2(...args) {
-      debug(`'${eventName}' event from stream2.`);
-      listener.apply(state2, args);
-      anyEventListener2();
+    for (const [i, stream] of streams.entries()) {
+      function streamListener(...args) {
+        debug(`'${eventName}' event from ${names[i]}.`);
+        lastEventNames[i] = eventName;
+        onProgress();
+        listener.apply(states[i], args);
+        checkRetained(i);
+        anyEventListener(i);
+      }
+      listeners[i][eventName] = streamListener;
+      stream.on(eventName, streamListener);
     }
-    listeners2[eventName] = listener2;
-    stream2.on(eventName, listener2);
   }
 
   /** Handles stream end events.
    *
-   * @this {!module:stream.Readable}
    * @private
    */
-  function endListener(state) {
+  function endListener(index) {
+    const state = states[index];
+
     // Note:  If incremental is conclusive for 'end' event, this will be called
     // with isDone === true, since removeListener doesn't affect listeners for
     // an event which is already in-progress.
@@ -447,38 +1062,39 @@ function streamCompare(stream1, stream2, optionsOrCompare) {
 
     state.ended = true;
 
-    debug(`${streamName(this)} has ended.`);
+    debug(`${names[index]} has ended.`);
+
+    if (options.readPolicy === 'flowing' && options.maxLead !== Infinity) {
+      // Resume streams which were waiting for this stream to catch up
+      // eslint-disable-next-line no-use-before-define
+      limitLead();
+    }
 
     if (options.incremental
       && doCompare(options.incremental, CompareType.incremental)) {
       return;
     }
 
-    if (state === state1) {
-      lastEventImmediate1 = setImmediate(lastEventListener, this, state);
-    } else {
-      lastEventImmediate2 = setImmediate(lastEventListener, this, state);
-    }
+    lastEventImmediates[index] = setImmediate(lastEventListener, index);
   }
 
-  function endListener1() {
-    anyEventListener1();
-    endListener.call(this, state1);
-  }
-  function endListener2() {
-    anyEventListener2();
-    endListener.call(this, state2);
-  }
+  const endListeners = streams.map((stream, i) => function streamEndListener() {
+    onProgress();
+    anyEventListener(i);
+    endListener(i);
+  });
   for (const eventName of options.endEvents) {
     if (!options.abortOnError || eventName !== 'error') {
-      stream1.on(eventName, endListener1);
-      stream2.on(eventName, endListener2);
+      for (const [i, stream] of streams.entries()) {
+        stream.on(eventName, endListeners[i]);
+      }
     }
   }
 
   if (options.abortOnError) {
-    stream1.once('error', onStreamError);
-    stream2.once('error', onStreamError);
+    for (const stream of streams) {
+      stream.once('error', onStreamError);
+    }
   }
 
   /** Adds data to a stream state.
@@ -493,6 +1109,10 @@ function streamCompare(stream1, stream2, optionsOrCompare) {
    */
   function addData(data) {
     if (options.objectMode) {
+      if (cloneValue) {
+        data = cloneValue(data);
+      }
+
       if (!this.data) {
         this.data = [data];
       } else {
@@ -502,46 +1122,103 @@ function streamCompare(stream1, stream2, optionsOrCompare) {
     } else if (typeof data !== 'string' && !(data instanceof Buffer)) {
       throw new TypeError(`expected string or Buffer, got ${
         Object.prototype.toString.call(data)}.  Need objectMode?`);
-    } else if (this.data === null || this.data === undefined) {
-      this.data = data;
-      this.totalDataLen += data.length;
-    } else if (typeof this.data === 'string' && typeof data === 'string') {
-      // perf:  Avoid unnecessary string concatenation
-      if (this.data.length === 0) {
+    } else {
+      const strings = pendingStrings.get(this);
+      const prevData = strings.length > 0 ? strings[0] : this.data;
+      if (prevData === null || prevData === undefined) {
         this.data = data;
-      } else if (data.length > 0) {
-        this.data += data;
+      } else if (typeof prevData === 'string' && typeof data === 'string') {
+        // perf:  Avoid unnecessary string concatenation
+        if (strings.length === 0 && prevData.length === 0) {
+          this.data = data;
+        } else if (data.length > 0) {
+          // perf:  Defer concatenation until compared (by flushStrings)
+          strings.push(data);
+        }
+      } else if (prevData instanceof Buffer && data instanceof Buffer) {
+        // perf:  Avoid unnecessary Buffer concatenation
+        if (prevData.length === 0) {
+          this.data = data;
+        } else if (data.length > 0) {
+          this.data = appendBuffer(appendStorages.get(this), prevData, data);
+        }
+      } else {
+        throw new TypeError(`read returned ${
+          Object.prototype.toString.call(data)}, previously ${
+          Object.prototype.toString.call(prevData)
+        }.  Need objectMode?`);
       }
       this.totalDataLen += data.length;
-    } else if (this.data instanceof Buffer && data instanceof Buffer) {
-      // perf:  Avoid unnecessary Buffer concatenation
-      if (this.data.length === 0) {
-        this.data = data;
-      } else if (data.length > 0) {
-        // FIXME:  Potential performance issue if data or this.data are large.
-        // Should append to a Buffer we control and store a slice in .data
-        this.data = Buffer.concat([this.data, data]);
+    }
+
+    if (this.timeline) {
+      addTimelineEntry.call(this, { data });
+    }
+  }
+
+  /** Appends strings added since the last comparison to the data of a stream
+   * state.
+   *
+   * @this {!StreamState}
+   * @private
+   */
+  function flushStrings() {
+    const strings = pendingStrings.get(this);
+    if (strings.length > 0) {
+      const newData = strings.join('');
+      strings.length = 0;
+      this.data = this.data === null || this.data === undefined ? newData
+        : this.data + newData;
+    }
+  }
+
+  /** Pauses flowing streams which are more than options.maxLead ahead of the
+   * non-ended stream which has been read the least, and resumes those which
+   * are not.
+   *
+   * @private
+   */
+  function limitLead() {
+    let minDataLen = Infinity;
+    for (const state of states) {
+      if (!state.ended && state.totalDataLen < minDataLen) {
+        minDataLen = state.totalDataLen;
+      }
+    }
+
+    for (const [i, stream] of streams.entries()) {
+      const state = states[i];
+      const isAhead = !state.ended
+        && state.totalDataLen - minDataLen > options.maxLead;
+      if (isAhead
+        && !leadPausedStreams.has(stream)
+        && typeof stream.pause === 'function') {
+        debug(`Pausing ${names[i]} which is more than maxLead ahead.`);
+        stream.pause();
+        leadPausedStreams.add(stream);
+      } else if (!isAhead && leadPausedStreams.has(stream)) {
+        debug(`Resuming ${names[i]} which is within maxLead.`);
+        leadPausedStreams.delete(stream);
+        if (!pausedStreams.includes(stream)) {
+          stream.resume();
+        }
       }
-      this.totalDataLen += data.length;
-    } else {
-      throw new TypeError(`read returned ${
-        Object.prototype.toString.call(data)}, previously ${
-        Object.prototype.toString.call(this.data)
-      }.  Need objectMode?`);
     }
   }
 
-  /** Handles data read from the stream for a given state.
+  /** Handles data read from a stream.
    *
    * @private
    */
-  function handleData(state, data) {
-    debug('Read data from ', streamName(this));
+  function handleData(index, data) {
+    debug('Read data from ', names[index]);
+    onProgress();
 
+    const prevDataLen = states[index].totalDataLen;
     try {
-      addData.call(state, data);
+      addData.call(states[index], data);
     } catch (err) {
-      debug(`Error adding data from ${streamName(this)}`, err);
+      debug(`Error adding data from ${names[index]}`, err);
       reject(err);
       done();
       return;
@@ -550,70 +1227,106 @@ function streamCompare(stream1, stream2, optionsOrCompare) {
     if (options.incremental) {
       doCompare(options.incremental, CompareType.incremental);
     }
+
+    if (options.checkpointEvery && !isDone) {
+      dataSinceCheckpoint += states[index].totalDataLen - prevDataLen;
+      if (dataSinceCheckpoint >= options.checkpointEvery) {
+        debug(`Read ${dataSinceCheckpoint} since last checkpoint.`);
+        dataSinceCheckpoint = 0;
+        doCompare(options.compare, CompareType.checkpoint);
+      }
+    }
+
+    checkRetained(index);
   }
 
-  /** Reads from the non-ended stream which has the smallest totalDataLen.
+  /** Reads from the non-ended stream which has the smallest totalDataLen
+   * (or, for readPolicy 'lockstep', the fewest reads).
    *
    * @private
    */
   function readNext() {
-    let stream, state;
+    readableWaitIndex = -1;
 
     while (!isDone) {
-      if (!state1.ended
-        && (state2.ended || state1.totalDataLen <= state2.totalDataLen)) {
-        stream = stream1;
-        state = state1;
-      } else if (!state2.ended) {
-        stream = stream2;
-        state = state2;
-      } else {
+      if (isComparePending) {
+        debug('Not reading while compare is pending.');
+        return;
+      }
+
+      const progress = options.readPolicy === 'lockstep' ? readCounts
+        : states.map((state) => state.totalDataLen);
+      let index = -1;
+      for (const [i, state] of states.entries()) {
+        if (!state.ended && (index < 0 || progress[i] < progress[index])) {
+          index = i;
+        }
+      }
+
+      if (index < 0) {
         debug('All streams have ended.  No further reads.');
         return;
       }
 
+      const stream = streams[index];
       const data = stream.read();
       if (data === null) {
-        debug(`Waiting for ${streamName(stream)} to be readable...`);
+        debug(`Waiting for ${names[index]} to be readable...`);
+        readableWaitIndex = index;
         stream.once('readable', readNext);
         return;
       }
 
-      handleData.call(stream, state, data);
+      readCounts[index] += 1;
+      handleData(index, data);
     }
   }
 
-  /** Reads data when an 'end' event occurs.
+  /** Reads data when an end event occurs.
    *
-   * If 'end' occurs on the stream for which readNext is waiting for
-   * 'readable', that event will never occur and it needs to start reading
-   * from the other stream.
+   * If an end event (e.g. 'end' or 'error') occurs on the stream for which
+   * readNext is waiting for 'readable', that event will never occur and it
+   * needs to start reading from another stream.
    *
    * @private
    */
   function readNextOnEnd() {
     // Remove pending 'readable' listener.
     // This is primarily for the case where readNext was listening for
-    // 'readable' from the stream which _did_not_ emit 'end', which would
+    // 'readable' from a stream which _did_not_ end, which would
     // cause readNext to be listening twice when .read() returns null.
     // It also handles the case where a broken stream implementation emits
-    // 'readable' after 'end'.
-    stream1.removeListener('readable', readNext);
-    stream2.removeListener('readable', readNext);
+    // 'readable' after ending.
+    for (const stream of streams) {
+      stream.removeListener('readable', readNext);
+    }
     return readNext.call(this);
   }
 
   switch (options.readPolicy) {
     case 'flowing':
       debug('Will read from streams in flowing mode.');
-      stream1.on('data', handleData.bind(stream1, state1));
-      stream2.on('data', handleData.bind(stream2, state2));
+      for (const [i, stream] of streams.entries()) {
+        dataListeners[i] = (data) => {
+          handleData(i, data);
+          if (!isDone && options.maxLead !== Infinity) {
+            limitLead();
+          }
+        };
+        stream.on('data', dataListeners[i]);
+      }
       break;
 
     case 'least':
-      debug('Will read from stream with least output.');
-      stream1.once('end', readNextOnEnd);
-      stream2.once('end', readNextOnEnd);
+    case 'lockstep':
+      debug(`Will read from streams with ${options.readPolicy} policy.`);
+      for (const eventName of options.endEvents) {
+        if (!options.abortOnError || eventName !== 'error') {
+          for (const stream of streams) {
+            stream.once(eventName, readNextOnEnd);
+          }
+        }
+      }
       queueMicrotask(readNext);
       break;
 
@@ -622,9 +1335,756 @@ function streamCompare(stream1, stream2, optionsOrCompare) {
       break;
   }
 
+  /** Handles a stream closing before it ended, as if the stream had emitted
+   * a synthetic 'prematureClose' event, in the order listeners would have
+   * been added for it.
+   *
+   * @private
+   */
+  function onPrematureClose(index) {
+    debug(`${names[index]} closed prematurely.`);
+    if (listeners[index][PREMATURE_CLOSE_EVENT]) {
+      listeners[index][PREMATURE_CLOSE_EVENT]();
+    }
+
+    if (!isDone && options.endEvents.includes(PREMATURE_CLOSE_EVENT)) {
+      endListeners[index]();
+      if (!isDone
+        && (options.readPolicy === 'least'
+          || options.readPolicy === 'lockstep')) {
+        readNextOnEnd();
+      }
+    }
+  }
+
+  /** Watches for a stream to close before it ends.
+   *
+   * @private
+   */
+  function watchFinished(index) {
+    const stream = streams[index];
+    finishedCleanups.push(finished(stream, { writable: false }, (err) => {
+      if (isDone || !err || err.code !== 'ERR_STREAM_PREMATURE_CLOSE') {
+        return;
+      }
+
+      // finished() treats any 'close' before 'end' as premature, including
+      // 'close' emitted by the caller (or a broken implementation) without
+      // destroying the stream.  Keep watching for a real premature close.
+      if (!stream.destroyed) {
+        debug(`Ignoring 'close' from ${names[index]} which is not destroyed.`);
+        watchFinished(index);
+        return;
+      }
+
+      onPrematureClose(index);
+    }));
+  }
+
+  if (options.events.includes(PREMATURE_CLOSE_EVENT)
+    || options.endEvents.includes(PREMATURE_CLOSE_EVENT)) {
+    for (const [i, stream] of streams.entries()) {
+      // Note:  Only Node.js streams support finished()
+      if (isReadable(stream) !== null) {
+        watchFinished(i);
+      }
+    }
+  }
+
+  if (options.timeout) {
+    timeout = setTimeout(
+      onTimeout,
+      options.timeout,
+      `Comparison did not finish within ${options.timeout}ms.`,
+    );
+  }
+
+  if (options.checkpointInterval) {
+    checkpointInterval = setInterval(() => {
+      debug('Checkpoint interval elapsed.');
+      doCompare(options.compare, CompareType.checkpoint);
+    }, options.checkpointInterval);
+    // Comparison should not keep the process running after streams end
+    checkpointInterval.unref();
+  }
+
+  if (options.stallTimeout) {
+    startStallTimeout();
+  }
+
+  if (options.signal) {
+    if (options.signal.aborted) {
+      onAbort();
+    } else {
+      options.signal.addEventListener('abort', onAbort);
+    }
+  }
+
+  if (options.readPolicy === 'none') {
+    resumeCreatedStreams(sources, streams);
+  }
+
+  if (callback) {
+    callbackOnSettle(promise, callback);
+  }
+
+  return promise;
+}
+
+/**
+ * Compares the output of two Readable streams.
+ *
+ * @template CompareResult
+ * @param {!StreamSource} stream1 First stream to compare.
+ * @param {!StreamSource} stream2 Second stream to compare.
+ * @param {!StreamCompareOptions<CompareResult>|
+ * function(!StreamState,!StreamState): CompareResult} optionsOrCompare
+ * Options, or a comparison function (as described in
+ * {@link StreamCompareOptions#compare}).
+ * @param {function(*, CompareResult=)=} callback Optional Node-style callback
+ * which is called once, with the comparison error, or with <code>null</code>
+ * and the comparison result, when the comparison settles.  The returned
+ * <code>Promise</code> does not cause an unhandled rejection if it is
+ * ignored.
+ * @returns {StreamComparePromise<CompareResult>} A <code>Promise</code> with
+ * the comparison result or error.
+ * @throws {TypeError} If <code>callback</code> is not a function.
+ */
+function streamCompare(stream1, stream2, optionsOrCompare, callback) {
+  return compareStreams([stream1, stream2], optionsOrCompare, true, callback);
+}
+
+/**
+ * Compares the output of any number of Readable streams.
+ *
+ * Behaves like {@link streamCompare}, except that the comparison functions
+ * are called with an Array of StreamState objects, one for each stream in the
+ * same order as <code>streams</code>.
+ *
+ * @template CompareResult
+ * @param {!Array<!StreamSource>} streams Streams to compare.
+ * @param {!StreamCompareOptions<CompareResult>|
+ * function(!Array<!StreamState>): CompareResult} optionsOrCompare Options, or
+ * a comparison function (as described in
+ * {@link StreamCompareOptions#compare}).
+ * @param {function(*, CompareResult=)=} callback Optional Node-style callback,
+ * as for {@link streamCompare}.
+ * @returns {StreamComparePromise<CompareResult>} A <code>Promise</code> with
+ * the comparison result or error.
+ * @alias all
+ */
+function compareAll(streams, optionsOrCompare, callback) {
+  if (!streams
+    || typeof streams !== 'object'
+    || streams.length !== Math.floor(streams.length)) {
+    throw new TypeError('streams must be Array-like');
+  }
+  if (streams.length < 2) {
+    throw new RangeError('streams must contain at least 2 streams');
+  }
+
+  return compareStreams(
+    Array.prototype.slice.call(streams),
+    optionsOrCompare,
+    false,
+    callback,
+  );
+}
+
+/** Default values of options for {@link streamCompare.equal}.
+ *
+ * @constant
+ * @private
+ */
+const DEFAULT_EQUAL_OPTIONS = {
+  abortOnError: true,
+  destroyOnDiffer: false,
+  events: [],
+};
+
+/** Gets part of the data read from a stream.
+ *
+ * @param {!Array|!Buffer|string} data Data read from a stream.
+ * @param {number} start Index of the first item in the part.
+ * @param {number=} end Index after the last item in the part.
+ * @returns {!Array|!Buffer|string} Part of <code>data</code> from
+ * <code>start</code> to <code>end</code>, which shares memory with
+ * <code>data</code> if it is a Buffer.
+ * @private
+ */
+function sliceData(data, start, end) {
+  return Buffer.isBuffer(data) ? data.subarray(start, end)
+    : data.slice(start, end);
+}
+
+/** Determines whether a stream closed before it ended.
+ *
+ * @param {!StreamState} state State of the stream.
+ * @returns {boolean} <code>true</code> if the stream was aborted (as
+ * reported by <code>readableAborted</code>) or emitted
+ * <code>'prematureClose'</code>, <code>false</code> otherwise.
+ * @private
+ */
+function isTruncated(state) {
+  return state.readableAborted === true
+    || state.events.some((event) => event.name === PREMATURE_CLOSE_EVENT);
+}
+
+/** Compares the data read from two streams, removing the common prefix.
+ *
+ * This is the <code>incremental</code> and <code>compare</code> function for
+ * {@link streamCompare.equal}.  Buffers and strings are compared by value.
+ * Data of different types (e.g. if only one stream has an encoding) is
+ * compared as Buffers, without being removed.  Values read in
+ * <code>objectMode</code> are compared using
+ * {@link module:util.isDeepStrictEqual}.
+ *
+ * @param {!StreamState} state1 State of the first stream.
+ * @param {!StreamState} state2 State of the second stream.
+ * @returns {boolean|undefined} <code>false</code> if the data differs, one
+ * stream ended before the other, or either stream closed before it ended,
+ * <code>true</code> if both streams ended with the same data, otherwise
+ * <code>undefined</code>.
+ * @private
+ */
+function compareEqualData(state1, state2) {
+  // A stream which closed before it ended may not have produced all its data
+  if (isTruncated(state1) || isTruncated(state2)) {
+    return false;
+  }
+
+  // Note:  data is undefined if none was read.  Treat as empty.
+  let data1 = state1.data ?? sliceData(state2.data ?? [], 0, 0);
+  let data2 = state2.data ?? sliceData(data1, 0, 0);
+  const isObjectMode = Array.isArray(data1);
+  const isSameType = typeof data1 === typeof data2;
+  if (!isSameType) {
+    data1 = Buffer.from(data1);
+    data2 = Buffer.from(data2);
+  }
+
+  const minLen = Math.min(data1.length, data2.length);
+  if (isObjectMode) {
+    for (let i = 0; i < minLen; i += 1) {
+      if (!isDeepStrictEqual(data1[i], data2[i])) {
+        return false;
+      }
+    }
+  } else if (typeof data1 === 'string') {
+    if (!data2.startsWith(data1.slice(0, minLen))) {
+      return false;
+    }
+  } else if (!data1.subarray(0, minLen).equals(data2.subarray(0, minLen))) {
+    return false;
+  }
+
+  if ((state1.ended && data2.length > minLen)
+    || (state2.ended && data1.length > minLen)) {
+    return false;
+  }
+
+  if (isSameType && minLen > 0) {
+    state1.data = sliceData(data1, minLen);
+    state2.data = sliceData(data2, minLen);
+  }
+
+  if (state1.expectEvents || state2.expectEvents) {
+    return undefined;
+  }
+
+  return data1.length === data2.length;
+}
+
+/**
+ * Determines whether two streams produce equal data.
+ *
+ * Data is compared incrementally as it is read, and compared data is
+ * discarded.  Buffers and strings are compared byte-wise (or char-wise, if
+ * both streams have an encoding).  Values read in <code>objectMode</code> are
+ * compared using {@link module:util.isDeepStrictEqual}.  The returned
+ * <code>Promise</code> is resolved with <code>false</code> as soon as a
+ * difference is found (or one stream ends before the other), without reading
+ * further, or with <code>true</code> once both streams have ended with the
+ * same data.  A stream which is destroyed before it ends (see
+ * <code>readableAborted</code>) is not equal to any stream.
+ *
+ * Options are as for {@link streamCompare}, except that
+ * <code>compare</code> and <code>incremental</code> are ignored, events are
+ * not compared, and <code>abortOnError</code> defaults to <code>true</code>,
+ * so that the <code>Promise</code> is rejected if either stream emits
+ * <code>'error'</code>.
+ *
+ * @param {!StreamSource} stream1 First stream to compare.
+ * @param {!StreamSource} stream2 Second stream to compare.
+ * @param {StreamCompareOptions<boolean>=} options Options.  Options may also
+ * include <code>destroyOnDiffer</code> to destroy both streams if they differ
+ * (default: <code>false</code>).
+ * @returns {StreamComparePromise<boolean>} A <code>Promise</code> with
+ * <code>true</code> if the streams produced equal data, <code>false</code> if
+ * not, or an error.
+ * @alias equal
+ */
+function compareEqual(stream1, stream2, options) {
+  if (options !== undefined
+    && (options === null || typeof options !== 'object')) {
+    throw new TypeError('options must be an object');
+  }
+
+  options = {
+    ...DEFAULT_EQUAL_OPTIONS,
+    ...options,
+    compare: compareEqualData,
+    incremental: compareEqualData,
+  };
+  const sources = [stream1, stream2];
+  const streams =
+    sources.map((stream) => toReadable(stream, options.objectMode));
+  const promise = compareStreams(streams, options, true);
+  if (options.readPolicy === 'none') {
+    resumeCreatedStreams(sources, streams);
+  }
+  if (options.destroyOnDiffer) {
+    promise
+      .then((isEqual) => {
+        if (!isEqual) {
+          debug('Destroying differing streams...');
+          for (const stream of streams) {
+            if (typeof stream.destroy === 'function') {
+              stream.destroy();
+            }
+          }
+        }
+      })
+      // Rejection is handled by the caller of the returned promise
+      .catch(() => {});
+  }
+  return promise;
+}
+
+/**
+ * Compares the output of a Readable stream with a recording of a stream saved
+ * in a file.
+ *
+ * The recording is a JSON file containing the StreamState of a stream, with
+ * Buffers, Errors, and <code>undefined</code> values encoded so that they are
+ * preserved.  If <code>options.update</code> is true, the stream is read
+ * (without calling compare or incremental) and its StreamState is saved to
+ * <code>file</code>, replacing any previous recording.  Otherwise, the stream
+ * is compared with a stream which replays the recording, as if by
+ * {@link streamCompare} with the recorded stream as the second stream.  The
+ * recording is read synchronously, so that the stream is being compared
+ * when this function returns and none of its data or events are missed.
+ * Therefore, errors reading the recording are thrown, rather than rejecting
+ * the returned <code>Promise</code> (as errors writing it are).
+ *
+ * Note:  Errors are recorded with their <code>name</code>,
+ * <code>message</code>, and enumerable properties.  They are replayed as
+ * instances of the global constructor matching <code>name</code>, if any.
+ *
+ * @template CompareResult
+ * @param {!StreamSource} stream Stream to compare or record.
+ * @param {string|!URL} file Path of recording file.
+ * @param {!StreamCompareOptions<CompareResult>|
+ * function(!StreamState,!StreamState): CompareResult} optionsOrCompare
+ * Options, or a comparison function (as described in
+ * {@link StreamCompareOptions#compare}).  Options may also include
+ * <code>update</code> to record the stream instead of comparing it.
+ * @returns {!Promise<CompareResult|undefined>} A <code>Promise</code> with the
+ * comparison result or error, which is a
+ * {@link StreamComparePromise} unless recording.
+ * @throws {Error} If the recording can not be read (e.g. because
+ * <code>file</code> does not exist), when not recording.
+ * @throws {SyntaxError} If the recording is not valid JSON, when not
+ * recording.
+ * @alias snapshot
+ */
+function compareSnapshot(stream, file, optionsOrCompare) {
+  const options = getOptions(optionsOrCompare);
+  if (options.update) {
+    const recordOptions = {
+      ...options,
+      compare: (states) => states[0],
+      incremental: undefined,
+    };
+    debug(`Recording stream to ${file}...`);
+    return compareStreams([stream], recordOptions, false)
+      .then((recordedState) => writeFile(
+        file,
+        `${JSON.stringify(encodeValue(recordedState), undefined, 2)}\n`,
+      ));
+  }
+
+  debug(`Comparing stream to recording in ${file}...`);
+  // Read synchronously so stream listeners are added before returning
+  // eslint-disable-next-line n/no-sync
+  const state = decodeValue(JSON.parse(readFileSync(file, 'utf8')));
+  const replayStream = new ReplayStream(
+    state,
+    options.objectMode,
+    Array.prototype.slice.call(options.endEvents),
+    options.readPolicy === 'least' || options.readPolicy === 'lockstep',
+  );
+  const promise = compareStreams([stream, replayStream], options, true);
+  if (options.readPolicy === 'none') {
+    replayStream.resume();
+  }
+  return promise;
+}
+
+/**
+ * Compares the output of a Readable stream with an expected value.
+ *
+ * The expected value is read as if it were the second of two streams passed
+ * to {@link streamCompare}, so the comparison functions are called in the
+ * same way and with the same StreamState arguments, and an incremental
+ * comparison can detect a difference as soon as the stream diverges from the
+ * expected value.  Chunks of the expected value are read as given (without
+ * conversion between strings and Buffers), except that files are read as
+ * Buffers.
+ *
+ * @template CompareResult
+ * @param {!StreamSource} stream Stream to compare.
+ * @param {string|!Buffer|!URL|!Array|!object|function(): !object} expected
+ * Expected value.  A string or Buffer is the expected data.  A
+ * <code>URL</code> (e.g. from {@link module:url.pathToFileURL}) is the
+ * location of a file containing the expected data.  An Array, or other sync
+ * or async iterable, produces the expected chunks (or values, in
+ * objectMode).  A generator function is called to get an iterator which
+ * produces the expected chunks, which is only advanced as chunks are read.
+ * @param {!StreamCompareOptions<CompareResult>|
+ * function(!StreamState,!StreamState): CompareResult} optionsOrCompare
+ * Options, or a comparison function (as described in
+ * {@link StreamCompareOptions#compare}).
+ * @returns {StreamComparePromise<CompareResult>} A <code>Promise</code> with
+ * the comparison result or error.
+ * @throws {TypeError} If <code>expected</code> is not one of the supported
+ * types.
+ * @alias toValue
+ */
+function compareValue(stream, expected, optionsOrCompare) {
+  const options = getOptions(optionsOrCompare);
+  const expectedStream = valueToReadable(expected);
+  const promise = compareStreams([stream, expectedStream], options, true);
+  if (options.readPolicy === 'none') {
+    expectedStream.resume();
+  }
+  return promise;
+}
+
+/** Default values of options specific to {@link streamCompare.transforms}.
+ *
+ * @constant
+ * @private
+ */
+const DEFAULT_TRANSFORMS_OPTIONS = {
+  maxPendingInput: 16,
+};
+
+/**
+ * Compares the output of two Transform (or Duplex) streams given the same
+ * input.
+ *
+ * Each chunk read from <code>input</code> is written to both streams,
+ * respecting the backpressure of each, then both streams are ended when
+ * <code>input</code> ends.  If <code>input</code> emits <code>'error'</code>,
+ * both streams are destroyed with the error.  The output of the streams is
+ * compared as if by {@link streamCompare}.  Since the Writable side of each
+ * stream is the same object as its Readable side, Writable events (e.g.
+ * <code>'drain'</code> and <code>'finish'</code>) are compared if they are
+ * included in <code>options.events</code>.
+ *
+ * Input is written to a stream which is ready while the other is waiting
+ * for <code>'drain'</code>, so that the comparison can read the output of
+ * either, until <code>options.maxPendingInput</code> chunks are queued for the
+ * waiting stream.  Input is then not read until it drains.  Therefore, if
+ * the output of one stream is not read while it is waiting (e.g. with
+ * <code>readPolicy</code> <code>'least'</code>, when it produces much more
+ * output than the other), the comparison may stall.  In this case,
+ * increase <code>maxPendingInput</code> or use <code>readPolicy</code>
+ * <code>'flowing'</code>.
+ *
+ * @template CompareResult
+ * @param {!module:stream.Readable|string|!Buffer|!URL|!Array|!object|
+ * function(): !object} input Input to write to the streams.  A Readable stream
+ * is read in paused mode.  Other values are read as described for the
+ * <code>expected</code> argument of {@link streamCompare.toValue}.
+ * @param {!module:stream.Duplex} stream1 First stream to compare.
+ * @param {!module:stream.Duplex} stream2 Second stream to compare.
+ * @param {!StreamCompareOptions<CompareResult>|
+ * function(!StreamState,!StreamState): CompareResult} optionsOrCompare
+ * Options, or a comparison function (as described in
+ * {@link StreamCompareOptions#compare}).  Options may also include
+ * <code>maxPendingInput</code>, the maximum number of input chunks queued
+ * for a stream which is waiting for <code>'drain'</code>
+ * (default: <code>16</code>).
+ * @returns {StreamComparePromise<CompareResult>} A <code>Promise</code> with
+ * the comparison result or error.
+ * @throws {TypeError} If <code>stream1</code> or <code>stream2</code> is not
+ * writable, <code>input</code> is not one of the supported types, or
+ * <code>options.maxPendingInput</code> is not a number.
+ * @throws {RangeError} If <code>options.maxPendingInput</code> is less than
+ * <code>1</code>.
+ * @alias transforms
+ */
+function compareTransforms(input, stream1, stream2, optionsOrCompare) {
+  for (const [name, stream] of [['stream1', stream1], ['stream2', stream2]]) {
+    if (!stream || typeof stream.write !== 'function') {
+      throw new TypeError(`${name} must be a Writable stream`);
+    }
+  }
+
+  const options = {
+    ...DEFAULT_TRANSFORMS_OPTIONS,
+    ...getOptions(optionsOrCompare),
+  };
+  if (typeof options.maxPendingInput !== 'number') {
+    throw new TypeError('options.maxPendingInput must be a number');
+  }
+  if (!(options.maxPendingInput >= 1)) {
+    throw new RangeError('options.maxPendingInput must be at least 1');
+  }
+
+  const inputStream =
+    input instanceof EventEmitter ? input : valueToReadable(input);
+  const promise = streamCompare(stream1, stream2, options);
+  tee(inputStream, [stream1, stream2], options.maxPendingInput);
   return promise;
 }
 
+/** Names of events emitted by a ChildProcess which are compared by
+ * {@link streamCompare.processes}.
+ *
+ * @constant
+ * @private
+ */
+const PROCESS_EVENTS = ['close', 'error', 'exit'];
+
+/** Listener for <code>'readable'</code> which does nothing, to keep a child
+ * process stdio pipe from being resumed when the process exits.
+ *
+ * @private
+ */
+function ignoreReadable() {}
+
+/**
+ * Compares the output and exit status of two child processes.
+ *
+ * The stdout and stderr of the processes (where piped) are compared as if by
+ * {@link streamCompare}, using the given options (with any options in
+ * <code>options.stdout</code> or <code>options.stderr</code>, respectively,
+ * taking precedence), except that they are considered ended by
+ * <code>'close'</code> or <code>'error'</code>, rather than
+ * <code>options.endEvents</code>.  Since stateful comparison functions
+ * (e.g. from {@link streamCompare.makeCompareData}) should not be shared
+ * between comparisons, they can be given for each output in these options.
+ * The processes are compared using the compare and incremental functions in
+ * <code>options</code>, with StreamState objects which have no data and the
+ * <code>'close'</code>, <code>'error'</code>, and <code>'exit'</code> events
+ * (with their code and signal arguments) emitted by each ChildProcess.
+ *
+ * The returned Promise settles once all three comparisons have settled, which
+ * is after both processes have emitted <code>'close'</code> (or
+ * <code>'error'</code>), unless the comparison is aborted.  If any comparison
+ * was rejected, it is rejected with the reason from the first of stdout,
+ * stderr, and process comparisons which was rejected.  Otherwise, it is
+ * resolved with the first result from those comparisons which is not
+ * <code>undefined</code>.  Output from a stream is discarded after its
+ * comparison has settled, so that the process is not blocked writing it.
+ * With <code>readPolicy</code> <code>'none'</code>, output must be read
+ * before the process exits, since ChildProcess discards any unread output
+ * from pipes without a <code>'readable'</code> listener when it exits.
+ * Unlike the other comparison functions, the returned Promise is not a
+ * {@link StreamComparePromise}, since it combines several comparisons, so it
+ * does not have <code>checkpoint</code> or <code>end</code> methods.
+ *
+ * @template CompareResult
+ * @param {!module:child_process.ChildProcess} child1 First process to
+ * compare.
+ * @param {!module:child_process.ChildProcess} child2 Second process to
+ * compare.
+ * @param {!StreamCompareOptions<CompareResult>|
+ * function(!StreamState,!StreamState): CompareResult} optionsOrCompare
+ * Options, or a comparison function (as described in
+ * {@link StreamCompareOptions#compare}).
+ * @returns {!Promise<CompareResult>} A <code>Promise</code> with the
+ * comparison result or error.
+ * @throws {TypeError} If <code>child1</code> or <code>child2</code> is not an
+ * <code>EventEmitter</code>, only one of them has a piped stdout or stderr,
+ * or <code>options.stdout</code> or <code>options.stderr</code> is not an
+ * object.
+ * @alias processes
+ */
+function compareProcesses(child1, child2, optionsOrCompare) {
+  if (!(child1 instanceof EventEmitter)) {
+    throw new TypeError('child1 must be an EventEmitter');
+  }
+  if (!(child2 instanceof EventEmitter)) {
+    throw new TypeError('child2 must be an EventEmitter');
+  }
+
+  const outputPairs = [];
+  for (const outputName of ['stdout', 'stderr']) {
+    const output1 = child1[outputName];
+    const output2 = child2[outputName];
+    if (Boolean(output1) !== Boolean(output2)) {
+      throw new TypeError(`${outputName} must be piped for both or neither`);
+    }
+    if (output1) {
+      outputPairs.push({ outputName, outputs: [output1, output2] });
+    }
+  }
+
+  const options = getOptions(optionsOrCompare);
+  for (const outputName of ['stdout', 'stderr']) {
+    const overrides = options[outputName];
+    if (overrides !== undefined
+      && (overrides === null || typeof overrides !== 'object')) {
+      throw new TypeError(`options.${outputName} must be an object`);
+    }
+  }
+
+  const promises = outputPairs.map(({ outputName, outputs }) => {
+    const overrides = options[outputName];
+    const outputOptions = {
+      ...options,
+      ...overrides,
+      // Since 'close' may not occur on the tick after 'end' for a pipe,
+      // wait for it so that it is consistently recorded.
+      endEvents: ['close', 'error'],
+    };
+    if (overrides
+      && !overrides.compare
+      && options.compare === options.incremental) {
+      // compare defaults to incremental, as in getOptions
+      outputOptions.compare = outputOptions.incremental;
+    }
+
+    // When a process exits, ChildProcess resumes its stdio pipes which have
+    // no 'readable' listener, discarding output which has not been read.
+    // Keep a 'readable' listener while output is read by .read().
+    const isReadByRead = outputOptions.readPolicy === 'least'
+      || outputOptions.readPolicy === 'lockstep';
+    if (isReadByRead) {
+      for (const output of outputs) {
+        output.on('readable', ignoreReadable);
+      }
+    }
+
+    return compareStreams(outputs, outputOptions, true).finally(() => {
+      // Discard any remaining output so the processes can exit
+      for (const output of outputs) {
+        if (isReadByRead) {
+          output.removeListener('readable', ignoreReadable);
+        }
+        output.resume();
+      }
+    });
+  });
+
+  promises.push(compareStreams([child1, child2], {
+    ...options,
+    endEvents: ['close', 'error'],
+    events: PROCESS_EVENTS,
+    readPolicy: 'none',
+  }, true));
+
+  return Promise.allSettled(promises).then((outcomes) => {
+    const rejected = outcomes.find((outcome) => outcome.status === 'rejected');
+    if (rejected) {
+      throw rejected.reason;
+    }
+
+    const fulfilled = outcomes.find((outcome) => outcome.value !== undefined);
+    return fulfilled ? fulfilled.value : undefined;
+  });
+}
+
+/** Default values of options specific to {@link streamCompare.responses}.
+ *
+ * @constant
+ * @private
+ */
+const DEFAULT_RESPONSE_OPTIONS = {
+  decodeContent: false,
+  ignoreHeaders: ['date'],
+};
+
+/**
+ * Compares two HTTP responses, including their status and headers.
+ *
+ * The response bodies are compared as if by {@link streamCompare}.  The
+ * status and headers of each response are recorded as a
+ * <code>'response'</code> event, with an object argument which has
+ * <code>statusCode</code>, <code>statusMessage</code>, and
+ * <code>headers</code> properties, before any data.  The trailers are recorded
+ * as a <code>'trailers'</code> event, with an object argument, before
+ * <code>'end'</code>.  These events are added to <code>options.events</code>.
+ * Header (and trailer) names are lower-case, in sorted order.
+ *
+ * @template CompareResult
+ * @param {!module:http.IncomingMessage} response1 First response to compare.
+ * @param {!module:http.IncomingMessage} response2 Second response to compare.
+ * @param {!StreamCompareOptions<CompareResult>|
+ * function(!StreamState,!StreamState): CompareResult} optionsOrCompare
+ * Options, or a comparison function (as described in
+ * {@link StreamCompareOptions#compare}).  Options may also include
+ * <code>decodeContent</code> to decode response bodies with a
+ * <code>Content-Encoding</code> of <code>br</code>, <code>deflate</code>, or
+ * <code>gzip</code> before comparison and omit the
+ * <code>Content-Encoding</code> and <code>Content-Length</code> headers of
+ * all responses (default: <code>false</code>), and
+ * <code>ignoreHeaders</code> with names of headers and trailers to omit
+ * (default: <code>['date']</code>).
+ * @returns {StreamComparePromise<CompareResult>} A <code>Promise</code> with
+ * the comparison result or error.
+ * @throws {TypeError} If <code>response1</code> or <code>response2</code> does
+ * not have headers, or <code>options.ignoreHeaders</code> is not an Array.
+ * @alias responses
+ */
+function compareResponses(response1, response2, optionsOrCompare) {
+  const options = {
+    ...DEFAULT_RESPONSE_OPTIONS,
+    ...getOptions(optionsOrCompare),
+  };
+  for (const [name, response] of [
+    ['response1', response1],
+    ['response2', response2],
+  ]) {
+    if (!response || !response.headers || typeof response.on !== 'function') {
+      throw new TypeError(`${name} must be an http.IncomingMessage`);
+    }
+  }
+  if (!Array.isArray(options.ignoreHeaders)) {
+    throw new TypeError('options.ignoreHeaders must be an Array');
+  }
+
+  const events = Array.prototype.slice.call(options.events);
+  for (const eventName of ['response', 'trailers']) {
+    if (!events.includes(eventName)) {
+      events.push(eventName);
+    }
+  }
+
+  return streamCompare(
+    toResponseStream(response1, options),
+    toResponseStream(response2, options),
+    { ...options, events },
+  );
+}
+
+streamCompare.RetainedLimitError = RetainedLimitError;
+streamCompare.TimeoutError = TimeoutError;
+streamCompare.all = compareAll;
+streamCompare.equal = compareEqual;
+streamCompare.processes = compareProcesses;
+streamCompare.responses = compareResponses;
+streamCompare.snapshot = compareSnapshot;
+streamCompare.toValue = compareValue;
+streamCompare.transforms = compareTransforms;
+streamCompare.normalizeEventArgs = normalizeEventArgs;
+streamCompare.makeCompareData = require('./lib/make-compare-data.js');
+streamCompare.makeCompareValues = require('./lib/make-compare-values.js');
 streamCompare.makeIncremental = require('./lib/make-incremental.js');
+streamCompare.makeUnordered = require('./lib/make-unordered.js');
 
 module.exports = streamCompare;
@@ -0,0 +1,68 @@
+/**
+ * @copyright Copyright 2026 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ */
+
+'use strict';
+
+/** Minimum size of a Buffer allocated by {@link appendBuffer}.
+ *
+ * @constant
+ * @private
+ */
+const MIN_ALLOC_SIZE = 1024;
+
+/** Buffer which holds appended data, along with the amount of it in use.
+ *
+ * @typedef {{
+ *   buffer: (Buffer|undefined),
+ *   length: number
+ * }} AppendBufferStorage
+ * @property {Buffer|undefined} buffer Buffer to which data is appended.
+ * @property {number} length Number of bytes of <code>buffer</code> which are
+ * in use.
+ * @private
+ */
+
+/** Appends data to a Buffer in a given storage Buffer, which is grown
+ * geometrically to amortize the cost of copying.
+ *
+ * If <code>data</code> is a slice which ends at the in-use end of
+ * <code>storage.buffer</code> (as it is when returned from this function, and
+ * after being sliced to remove leading data), <code>newData</code> is copied
+ * after it without copying <code>data</code>, if there is room.  Otherwise,
+ * <code>data</code> and <code>newData</code> are copied to a newly allocated
+ * <code>storage.buffer</code>.  Since bytes are only written beyond the in-use
+ * end of <code>storage.buffer</code>, previously returned Buffers are never
+ * modified.
+ *
+ * @param {!AppendBufferStorage} storage Buffer to which data is appended.
+ * Modified by this function.
+ * @param {!Buffer} data Previously appended data.
+ * @param {!Buffer} newData Data to append.
+ * @returns {!Buffer} Slice of <code>storage.buffer</code> containing
+ * <code>data</code> followed by <code>newData</code>.
+ * @private
+ */
+module.exports = function appendBuffer(storage, data, newData) {
+  const { buffer } = storage;
+  if (buffer
+    && data.buffer === buffer.buffer
+    && data.byteOffset >= buffer.byteOffset
+    && data.byteOffset + data.length === buffer.byteOffset + storage.length
+    && storage.length + newData.length <= buffer.length) {
+    newData.copy(buffer, storage.length);
+    storage.length += newData.length;
+    return buffer.subarray(data.byteOffset - buffer.byteOffset, storage.length);
+  }
+
+  const totalLength = data.length + newData.length;
+  const newBuffer = Buffer.allocUnsafe(
+    Math.max(totalLength * 2, MIN_ALLOC_SIZE),
+  );
+  data.copy(newBuffer, 0);
+  newData.copy(newBuffer, data.length);
+  storage.buffer = newBuffer;
+  storage.length = totalLength;
+  return newBuffer.subarray(0, totalLength);
+};
@@ -0,0 +1,223 @@
+/**
+ * @copyright Copyright 2026 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ */
+
+'use strict';
+
+const { AssertionError } = require('node:assert');
+const { inspect } = require('node:util');
+
+/** Default option values.
+ *
+ * @constant
+ * @private
+ */
+const DEFAULT_OPTIONS = {
+  contextLength: 16,
+};
+
+/** Options for {@link makeCompareData}.
+ *
+ * @typedef {{
+ *   contextLength: number|undefined
+ * }} CompareDataOptions
+ * @property {number=} contextLength Maximum number of bytes/chars of data
+ * before and after the first difference to include in the error.
+ * (default: <code>16</code>)
+ */
+
+/** Counts the lines and the length of the last line in a string or Buffer.
+ *
+ * @param {string|!Buffer} data Data in which to count lines.
+ * @param {number} end Index in <code>data</code> at which to stop counting.
+ * @returns {!{newlines: number, lastLineLen: number}} Number of newlines in
+ * <code>data</code> before <code>end</code> and number of bytes/chars after
+ * the last newline (or <code>-1</code> if there are no newlines).
+ * @private
+ */
+function countLines(data, end) {
+  let newlines = 0;
+  let lineStart = -1;
+  for (let i = data.indexOf('\n'); i !== -1 && i < end;
+    i = data.indexOf('\n', i + 1)) {
+    newlines += 1;
+    lineStart = i + 1;
+  }
+
+  return {
+    newlines,
+    lastLineLen: lineStart === -1 ? -1 : end - lineStart,
+  };
+}
+
+/** Gets the end of a string or Buffer.
+ *
+ * @param {string|!Buffer} data Data to slice.
+ * @param {number} length Maximum length of data to return.
+ * @returns {string|!Buffer} Last <code>length</code> bytes/chars of
+ * <code>data</code>.
+ * @private
+ */
+function sliceEnd(data, length) {
+  const start = Math.max(data.length - length, 0);
+  return typeof data === 'string' ? data.slice(start) : data.subarray(start);
+}
+
+/** Finds the index of the first difference between two strings or Buffers.
+ *
+ * @param {string|!Buffer} data1 First data to compare.
+ * @param {string|!Buffer} data2 Second data to compare.
+ * @returns {number} Index of the first differing byte/char, the length of the
+ * shorter data if it is a prefix of the longer, or <code>-1</code> if equal.
+ * @private
+ */
+function findDifference(data1, data2) {
+  const minLen = Math.min(data1.length, data2.length);
+  const isPrefixEqual = typeof data1 === 'string'
+    ? data1.slice(0, minLen) === data2.slice(0, minLen)
+    : data1.subarray(0, minLen).equals(data2.subarray(0, minLen));
+  if (isPrefixEqual) {
+    return data1.length === data2.length ? -1 : minLen;
+  }
+
+  // Note:  data[i] is a UTF-16 code unit for strings, byte for Buffers
+  let i = 0;
+  while (data1[i] === data2[i]) {
+    i += 1;
+  }
+  return i;
+}
+
+/** Makes a data comparison function which throws an
+ * {@link module:assert.AssertionError} describing the position of the first
+ * difference between the data.
+ *
+ * The thrown error message includes the offset of the first differing
+ * byte/char and its line and column, along with data surrounding the
+ * difference from each side.  The error has <code>offset</code> (0-based),
+ * <code>line</code>, and <code>column</code> (1-based) properties.  For
+ * Buffer data, lines are separated by <code>0x0A</code> bytes and columns
+ * are counted in bytes, as by <code>cmp</code>.
+ *
+ * The returned function may be called directly, or passed to
+ * <code>makeIncremental</code>.  To report positions relative to the start of
+ * the streams, it assumes that any data for which it does not throw is removed
+ * before it is next called (as <code>makeIncremental</code> does).  Therefore,
+ * a new function should be created for each comparison.
+ *
+ * @param {CompareDataOptions=} options Options.
+ * @returns {function((string|Buffer|undefined), (string|Buffer|undefined))}
+ * Data comparison function which throws an
+ * {@link module:assert.AssertionError} if the data differ.
+ * @alias makeCompareData
+ */
+module.exports = function makeCompareData(options) {
+  options = { ...DEFAULT_OPTIONS, ...options };
+  const { contextLength } = options;
+  if (typeof contextLength !== 'number') {
+    throw new TypeError('options.contextLength must be a number');
+  }
+  if (!(contextLength >= 0)) {
+    throw new RangeError('options.contextLength must be non-negative');
+  }
+
+  // Position of the start of the next data to compare
+  let offset = 0;
+  let line = 1;
+  let column = 1;
+  // Previously compared data, up to contextLength, for context
+  let prevData;
+
+  function compareData(data1, data2) {
+    const isString1 = typeof data1 === 'string';
+    const isString2 = typeof data2 === 'string';
+    // Note:  data is undefined if none was read.  Treat as empty.
+    if (data1 === undefined || data1 === null) {
+      data1 = isString2 ? '' : Buffer.alloc(0);
+    } else if (!isString1 && !Buffer.isBuffer(data1)) {
+      throw new TypeError('data1 must be a string or Buffer');
+    }
+    if (data2 === undefined || data2 === null) {
+      data2 = isString1 ? '' : Buffer.alloc(0);
+    } else if (!isString2 && !Buffer.isBuffer(data2)) {
+      throw new TypeError('data2 must be a string or Buffer');
+    }
+
+    const isString = typeof data1 === 'string';
+    if (isString !== (typeof data2 === 'string')) {
+      throw new AssertionError({
+        message: `Data types differ: ${
+          isString ? 'string' : 'Buffer'} and ${
+          isString ? 'Buffer' : 'string'}`,
+        actual: data1,
+        expected: data2,
+        operator: 'strictEqual',
+        stackStartFn: compareData,
+      });
+    }
+
+    if (prevData === undefined || isString !== (typeof prevData === 'string')) {
+      prevData = isString ? '' : Buffer.alloc(0);
+    }
+
+    const diffIndex = findDifference(data1, data2);
+    if (diffIndex === -1) {
+      offset += data1.length;
+      const { newlines, lastLineLen } = countLines(data1, data1.length);
+      line += newlines;
+      column = lastLineLen === -1 ? column + data1.length : lastLineLen + 1;
+      if (isString) {
+        prevData = sliceEnd(prevData + data1, contextLength);
+      } else {
+        const newPrevData =
+          Buffer.concat([prevData, sliceEnd(data1, contextLength)]);
+        prevData = sliceEnd(newPrevData, contextLength);
+      }
+      return undefined;
+    }
+
+    const diffOffset = offset + diffIndex;
+    const diffLines = countLines(data1, diffIndex);
+    const diffLine = line + diffLines.newlines;
+    const diffColumn = diffLines.lastLineLen === -1 ? column + diffIndex
+      : diffLines.lastLineLen + 1;
+    const position =
+      `offset ${diffOffset} (line ${diffLine}, column ${diffColumn})`;
+
+    const contextStart = Math.max(diffIndex - contextLength, 0);
+    const before = sliceEnd(
+      isString ? prevData + data1.slice(contextStart, diffIndex)
+        : Buffer.concat([prevData, data1.subarray(contextStart, diffIndex)]),
+      contextLength,
+    );
+    const contextEnd = diffIndex + contextLength;
+    const context1 = isString
+      ? before + data1.slice(diffIndex, contextEnd)
+      : Buffer.concat([before, data1.subarray(diffIndex, contextEnd)]);
+    const context2 = isString
+      ? before + data2.slice(diffIndex, contextEnd)
+      : Buffer.concat([before, data2.subarray(diffIndex, contextEnd)]);
+
+    function describeContext(data, context) {
+      return `${inspect(context)}${
+        diffIndex >= data.length ? ' (ends)' : ''}`;
+    }
+
+    const err = new AssertionError({
+      message: `Data differs at ${position}:\n  data1: ${
+        describeContext(data1, context1)}\n  data2: ${
+        describeContext(data2, context2)}`,
+      actual: context1,
+      expected: context2,
+      operator: 'strictEqual',
+      stackStartFn: compareData,
+    });
+    err.offset = diffOffset;
+    err.line = diffLine;
+    err.column = diffColumn;
+    throw err;
+  }
+
+  return compareData;
+};
@@ -0,0 +1,320 @@
+/**
+ * @copyright Copyright 2026 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ */
+
+'use strict';
+
+const { AssertionError } = require('node:assert');
+const { inspect, isDeepStrictEqual } = require('node:util');
+
+/** Default option values.
+ *
+ * @constant
+ * @private
+ */
+const DEFAULT_OPTIONS = {
+  absTolerance: 0,
+  equalByType: undefined,
+  ignorePaths: [],
+  relTolerance: 0,
+  undefinedEqualsMissing: false,
+};
+
+/** Options for {@link makeCompareValues}.
+ *
+ * @typedef {{
+ *   absTolerance: number|undefined,
+ *   equalByType: Map<*, function(*, *, !Array): boolean>|undefined,
+ *   ignorePaths: Array<string>|undefined,
+ *   relTolerance: number|undefined,
+ *   undefinedEqualsMissing: boolean|undefined
+ * }} CompareValuesOptions
+ * @property {number=} absTolerance Maximum absolute difference between numbers
+ * which are considered equal.  (default: <code>0</code>)
+ * @property {Map<*, function(*, *, !Array): boolean>=} equalByType Equality
+ * functions for values of a given type, keyed by constructor (for objects,
+ * e.g. <code>Date</code>) or by <code>typeof</code> (for primitives, e.g.
+ * <code>'string'</code>).  Each is called with the values from each stream,
+ * if they have the same type, and the path to the values, and returns
+ * <code>true</code> if they are equal.
+ * @property {Array<string>=} ignorePaths Paths of properties which are not
+ * compared, relative to each value.  Property names in a path are separated
+ * by <code>.</code>, Array indexes are property names, and <code>*</code>
+ * matches any property name (e.g. <code>'meta.time'</code> or
+ * <code>'items.*.id'</code>).  (default: <code>[]</code>)
+ * @property {number=} relTolerance Maximum difference between numbers which
+ * are considered equal, relative to the number with the larger magnitude.
+ * (default: <code>0</code>)
+ * @property {boolean=} undefinedEqualsMissing Consider a property with value
+ * <code>undefined</code> equal to a missing property.
+ * (default: <code>false</code>)
+ */
+
+/** Formats a path to a value for an error message.
+ *
+ * @param {!Array<(string|number)>} path Property names and Array indexes.
+ * @returns {string} JavaScript-like accessor expression for
+ * <code>path</code>.
+ * @private
+ */
+function formatPath(path) {
+  return path.map((key, i) => {
+    if (typeof key === 'number') {
+      return `[${key}]`;
+    }
+    if (/^[$A-Z_a-z][\w$]*$/.test(key)) {
+      return i === 0 ? key : `.${key}`;
+    }
+    return `[${JSON.stringify(key)}]`;
+  }).join('');
+}
+
+/** Gets the type of a value for lookup in
+ * {@link CompareValuesOptions#equalByType}.
+ *
+ * @param {*} value Value for which to get the type.
+ * @returns {*} Constructor of <code>value</code>, if
+ * it is an object, otherwise the <code>typeof</code> <code>value</code>.
+ * @private
+ */
+function getType(value) {
+  return value !== null && typeof value === 'object'
+    ? Object.getPrototypeOf(value)?.constructor
+    : typeof value;
+}
+
+/** Makes a function which compares Arrays of values (e.g. data read in
+ * <code>objectMode</code>) structurally and throws an
+ * {@link module:assert.AssertionError} describing the first difference.
+ *
+ * Values are compared as by {@link module:assert.deepStrictEqual}, except as
+ * configured by <code>options</code>.  Arrays and plain objects are compared
+ * recursively.  Other objects for which there is no function in
+ * <code>equalByType</code> are compared using
+ * {@link module:util.isDeepStrictEqual}.
+ *
+ * The thrown error has <code>index</code> (0-based) and <code>path</code>
+ * properties identifying the first differing value.  Its
+ * <code>actual</code> and <code>expected</code> properties are the differing
+ * values (or <code>undefined</code> if missing).
+ *
+ * The returned function may be called directly, or passed to
+ * <code>makeIncremental</code>.  To report indexes relative to the start of
+ * the streams, it assumes that any values for which it does not throw are
+ * removed before it is next called (as <code>makeIncremental</code> does).
+ * Therefore, a new function should be created for each comparison.
+ *
+ * @param {CompareValuesOptions=} options Options.
+ * @returns {function((Array|undefined), (Array|undefined))} Values comparison
+ * function which throws an {@link module:assert.AssertionError} if the values
+ * differ.
+ * @alias makeCompareValues
+ */
+module.exports = function makeCompareValues(options) {
+  options = { ...DEFAULT_OPTIONS, ...options };
+  const {
+    absTolerance,
+    equalByType,
+    relTolerance,
+    undefinedEqualsMissing,
+  } = options;
+  for (const optionName of ['absTolerance', 'relTolerance']) {
+    if (typeof options[optionName] !== 'number') {
+      throw new TypeError(`options.${optionName} must be a number`);
+    }
+    if (!(options[optionName] >= 0)) {
+      throw new RangeError(`options.${optionName} must be non-negative`);
+    }
+  }
+  if (equalByType !== undefined && !(equalByType instanceof Map)) {
+    throw new TypeError('options.equalByType must be a Map');
+  }
+  if (!Array.isArray(options.ignorePaths)
+    || options.ignorePaths.some((path) => typeof path !== 'string')) {
+    throw new TypeError('options.ignorePaths must be an Array of strings');
+  }
+  const ignorePaths = options.ignorePaths.map((path) => path.split('.'));
+
+  function isIgnored(path) {
+    return ignorePaths.some((ignorePath) => ignorePath.length === path.length
+      && ignorePath.every((name, i) => name === '*'
+        || name === String(path[i])));
+  }
+
+  function numbersEqual(num1, num2) {
+    if (Object.is(num1, num2)) {
+      return true;
+    }
+
+    const diff = Math.abs(num1 - num2);
+    return diff <= absTolerance
+      || diff <= relTolerance * Math.max(Math.abs(num1), Math.abs(num2));
+  }
+
+  /** Finds the first difference between two values.
+   *
+   * @param {*} value1 First value to compare.
+   * @param {*} value2 Second value to compare.
+   * @param {!Array<(string|number)>} path Path to the values.
+   * @param {!Map<*, !Set<*>>} seen Pairs of objects being compared by
+   * callers, to avoid infinite recursion on cycles.
+   * @returns {Array<(string|number)>|undefined} Path to the first
+   * difference, or <code>undefined</code> if the values are equal.
+   * @private
+   */
+  function findDifference(value1, value2, path, seen) {
+    if (isIgnored(path)) {
+      return undefined;
+    }
+
+    const type = getType(value1);
+    if (equalByType && type === getType(value2) && equalByType.has(type)) {
+      return equalByType.get(type)(value1, value2, path) ? undefined : path;
+    }
+
+    if (typeof value1 === 'number' && typeof value2 === 'number') {
+      return numbersEqual(value1, value2) ? undefined : path;
+    }
+
+    if (value1 === null
+      || value2 === null
+      || typeof value1 !== 'object'
+      || typeof value2 !== 'object') {
+      return Object.is(value1, value2) ? undefined : path;
+    }
+
+    const proto = Object.getPrototypeOf(value1);
+    if (proto !== Object.getPrototypeOf(value2)) {
+      return path;
+    }
+
+    const isArray = Array.isArray(value1);
+    if (!isArray && proto !== Object.prototype && proto !== null) {
+      return isDeepStrictEqual(value1, value2) ? undefined : path;
+    }
+
+    let seenWith = seen.get(value1);
+    if (seenWith && seenWith.has(value2)) {
+      return undefined;
+    }
+    if (!seenWith) {
+      seenWith = new Set();
+      seen.set(value1, seenWith);
+    }
+    seenWith.add(value2);
+
+    let keys;
+    if (isArray) {
+      keys = Array.from(
+        { length: Math.max(value1.length, value2.length) },
+        (value, i) => i,
+      );
+    } else {
+      keys = Object.keys(value1);
+      for (const key of Object.keys(value2)) {
+        if (!Object.hasOwn(value1, key)) {
+          keys.push(key);
+        }
+      }
+    }
+
+    for (const key of keys) {
+      const keyPath = [...path, key];
+      const has1 = Object.hasOwn(value1, key);
+      const has2 = Object.hasOwn(value2, key);
+      if (has1 !== has2) {
+        const value = has1 ? value1[key] : value2[key];
+        if (!isIgnored(keyPath)
+          && (isArray || !undefinedEqualsMissing || value !== undefined)) {
+          seenWith.delete(value2);
+          return keyPath;
+        }
+      } else {
+        const diffPath =
+          findDifference(value1[key], value2[key], keyPath, seen);
+        if (diffPath) {
+          seenWith.delete(value2);
+          return diffPath;
+        }
+      }
+    }
+
+    seenWith.delete(value2);
+    return undefined;
+  }
+
+  // Index of the next value to compare
+  let offset = 0;
+
+  function compareValues(values1, values2) {
+    // Note:  data is undefined if none was read.  Treat as empty.
+    values1 ??= [];
+    values2 ??= [];
+    if (!Array.isArray(values1)) {
+      throw new TypeError('values1 must be an Array');
+    }
+    if (!Array.isArray(values2)) {
+      throw new TypeError('values2 must be an Array');
+    }
+
+    const minLen = Math.min(values1.length, values2.length);
+    let index = 0;
+    let diffPath;
+    while (index < minLen && !diffPath) {
+      diffPath =
+        findDifference(values1[index], values2[index], [], new Map());
+      if (!diffPath) {
+        index += 1;
+      }
+    }
+
+    if (!diffPath && values1.length === values2.length) {
+      offset += values1.length;
+      return undefined;
+    }
+
+    diffPath ||= [];
+    let actual = values1[index];
+    let expected = values2[index];
+    for (const key of diffPath) {
+      actual = actual?.[key];
+      expected = expected?.[key];
+    }
+
+    function describe(values) {
+      if (index >= values.length) {
+        return '(ends)';
+      }
+
+      let value = values[index];
+      for (const key of diffPath) {
+        if (value === null
+          || typeof value !== 'object'
+          || !Object.hasOwn(value, key)) {
+          return '(missing)';
+        }
+        value = value[key];
+      }
+      return inspect(value);
+    }
+
+    let position = `index ${offset + index}`;
+    if (diffPath.length > 0) {
+      position += `, path ${formatPath(diffPath)}`;
+    }
+    const err = new AssertionError({
+      message: `Values differ at ${position}:\n  data1: ${
+        describe(values1)}\n  data2: ${describe(values2)}`,
+      actual,
+      expected,
+      operator: 'deepStrictEqual',
+      stackStartFn: compareValues,
+    });
+    err.index = offset + index;
+    err.path = diffPath;
+    throw err;
+  }
+
+  return compareValues;
+};
@@ -0,0 +1,229 @@
+/**
+ * @copyright Copyright 2026 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ */
+
+'use strict';
+
+const { AssertionError, deepStrictEqual } = require('node:assert');
+const { inspect, isDeepStrictEqual } = require('node:util');
+
+const makeIncremental = require('./make-incremental.js');
+
+/** Options for {@link makeUnordered}.
+ *
+ * @typedef {{
+ *   compare: ((function(*, *): *)|undefined),
+ *   compareEvents: ((function(!Array<!{name:string,args:Array}>,
+ *     !Array<!{name:string,args:Array}>): *)|undefined),
+ *   key: ((function(*): *)|undefined)
+ * }} UnorderedOptions
+ * @property {function(*, *): *=} compare Comparison function which is called
+ * with each pair of values matched by <code>key</code>, as for the
+ * <code>compareData</code> argument of <code>makeIncremental</code>.  Not
+ * called for values matched by structural hash, which are equal.
+ * (default: <code>assert.deepStrictEqual</code>)
+ * @property {function(!Array<!{name:string,args:Array}>,
+ * !Array<!{name:string,args:Array}>): *=} compareEvents Events comparison
+ * function which is called incrementally with the events from each stream,
+ * as for the <code>compareEvents</code> argument of
+ * <code>makeIncremental</code>.  If not specified, events are not compared.
+ * @property {function(*): *=} key Function which returns the key of a value,
+ * which is used to match values between streams.  Keys are compared using
+ * the SameValueZero algorithm (as for <code>Map</code>), so should generally
+ * be primitive.  If not specified, values are matched by structural hash,
+ * so only deep-equal values are matched.
+ */
+
+/** Options for {@link module:util.inspect} which produce a string which
+ * can be used as a structural hash of a value.
+ *
+ * @constant
+ * @private
+ */
+const HASH_INSPECT_OPTIONS = {
+  breakLength: Infinity,
+  compact: true,
+  depth: Infinity,
+  maxArrayLength: Infinity,
+  maxStringLength: Infinity,
+  sorted: true,
+};
+
+/** Gets a structural hash of a value, which is equal for deep-equal values.
+ *
+ * @param {*} value Value to hash.
+ * @returns {string} Structural hash of <code>value</code>.
+ * @private
+ */
+function hashValue(value) {
+  return inspect(value, HASH_INSPECT_OPTIONS);
+}
+
+/** Removes and returns the first value in a list which matches a given value.
+ *
+ * @param {!Array} values Values to search.
+ * @param {*} value Value to match.
+ * @param {boolean} isKeyed Were the values matched by key function?  If so,
+ * any value matches.  If not, only deep-equal values match.
+ * @returns {!{found: boolean, value: *}} Whether a matching value was found
+ * and the value which was found.
+ * @private
+ */
+function takeMatch(values, value, isKeyed) {
+  const index = isKeyed ? 0
+    : values.findIndex((other) => isDeepStrictEqual(other, value));
+  if (index < 0 || index >= values.length) {
+    return { found: false, value: undefined };
+  }
+
+  return { found: true, value: values.splice(index, 1)[0] };
+}
+
+/** Makes an incremental comparison function for <code>objectMode</code>
+ * streams which compares the values read from each stream without regard to
+ * order (i.e. as multisets).
+ *
+ * Each time it is called, the returned function removes the values read from
+ * each StreamState and matches them with unmatched values from the other
+ * stream, by <code>key</code> or by structural hash, then discards matched
+ * pairs.  Therefore, only values which have not (yet) been matched are
+ * retained.  Once both streams have ended, if any values are unmatched, it
+ * throws an {@link module:assert.AssertionError} with <code>only1</code> and
+ * <code>only2</code> properties containing the values which were read only
+ * from the first or second stream, respectively.
+ *
+ * The returned function may be used as both <code>incremental</code> and
+ * <code>compare</code>.  Since it retains the unmatched values, a new
+ * function should be created for each comparison.
+ *
+ * @template CompareResult
+ * @param {UnorderedOptions=} options Options.
+ * @returns {function(!module:stream-compare.StreamState,
+ * !module:stream-compare.StreamState): CompareResult} Incremental
+ * comparison function which compares the stream states without regard to the
+ * order of values.
+ * @alias makeUnordered
+ */
+module.exports = function makeUnordered(options) {
+  const {
+    compare = deepStrictEqual,
+    compareEvents,
+    key,
+  } = options || {};
+  if (typeof compare !== 'function') {
+    throw new TypeError('options.compare must be a function');
+  }
+  if (compareEvents !== undefined && typeof compareEvents !== 'function') {
+    throw new TypeError('options.compareEvents must be a function');
+  }
+  if (key !== undefined && typeof key !== 'function') {
+    throw new TypeError('options.key must be a function');
+  }
+
+  const isKeyed = Boolean(key);
+  const getKey = key || hashValue;
+  const incrementalEvents =
+    compareEvents && makeIncremental(undefined, compareEvents);
+  /** Values which have not been matched, by key, for each stream.
+   *
+   * @type {!Array<!Map<*, !Array>>}
+   * @private
+   */
+  const unmatched = [new Map(), new Map()];
+
+  /** Matches a value from one stream with an unmatched value from the other.
+   *
+   * @param {number} index Index of the stream which produced the value.
+   * @param {*} value Value to match.
+   * @returns {*} Result of comparing <code>value</code> to the matching
+   * value, if any.
+   * @private
+   */
+  function matchValue(index, value) {
+    const valueKey = getKey(value);
+    const otherUnmatched = unmatched[1 - index];
+    const otherValues = otherUnmatched.get(valueKey);
+    const match = otherValues
+      ? takeMatch(otherValues, value, isKeyed)
+      : { found: false };
+    if (!match.found) {
+      const values = unmatched[index].get(valueKey);
+      if (values) {
+        values.push(value);
+      } else {
+        unmatched[index].set(valueKey, [value]);
+      }
+      return undefined;
+    }
+
+    if (otherValues.length === 0) {
+      otherUnmatched.delete(valueKey);
+    }
+
+    if (!isKeyed) {
+      return undefined;
+    }
+
+    return index === 0 ? compare(value, match.value)
+      : compare(match.value, value);
+  }
+
+  return function unordered(state1, state2) {
+    for (const [index, state] of [state1, state2].entries()) {
+      const values = state.data;
+      if (values === undefined || values === null) {
+        continue;
+      }
+      if (!Array.isArray(values)) {
+        throw new TypeError('makeUnordered requires objectMode');
+      }
+
+      // Note:  Remove values before matching, so they are not matched again
+      // if compare throws or returns a result.
+      state.data = [];
+      for (const [i, value] of values.entries()) {
+        const result = matchValue(index, value);
+        if (result !== undefined && result !== null) {
+          // Retain values which were not yet matched for a later call
+          state.data = values.slice(i + 1);
+          return result;
+        }
+      }
+    }
+
+    const eventsResult = incrementalEvents
+      && incrementalEvents(state1, state2);
+    if (eventsResult !== undefined && eventsResult !== null) {
+      return eventsResult;
+    }
+
+    if (state1.expectEvents || state2.expectEvents) {
+      return undefined;
+    }
+
+    const [only1, only2] = unmatched.map((valuesByKey) => {
+      const only = [];
+      for (const values of valuesByKey.values()) {
+        only.push(...values);
+      }
+      return only;
+    });
+    if (only1.length > 0 || only2.length > 0) {
+      const err = new AssertionError({
+        message: `${only1.length + only2.length} values are unmatched:\n`
+          + `  only in stream1: ${inspect(only1)}\n`
+          + `  only in stream2: ${inspect(only2)}`,
+        actual: only1,
+        expected: only2,
+        operator: 'deepStrictEqual',
+        stackStartFn: unordered,
+      });
+      err.only1 = only1;
+      err.only2 = only2;
+      throw err;
+    }
+
+    return undefined;
+  };
+};
@@ -0,0 +1,93 @@
+/**
+ * @copyright Copyright 2026 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ */
+
+'use strict';
+
+/** Value which replaces a reference to an object which contains it.
+ *
+ * @constant
+ * @private
+ */
+const CIRCULAR = '[Circular]';
+
+/** Normalizes an event argument.
+ *
+ * @param {*} value Value to normalize.
+ * @param {!Set<!object>} ancestors Objects which contain <code>value</code>.
+ * @returns {*} Normalized value.
+ * @private
+ */
+function normalizeValue(value, ancestors) {
+  if (value === null || typeof value !== 'object') {
+    return value;
+  }
+
+  if (ancestors.has(value)) {
+    return CIRCULAR;
+  }
+
+  if (Buffer.isBuffer(value)) {
+    // Note:  hex is much more compact than Buffer#toJSON (an Array with a
+    // number for each byte), which matters for recorded 'data' events.
+    return { type: 'Buffer', hex: value.toString('hex') };
+  }
+
+  const isError = value instanceof Error;
+  const proto = Object.getPrototypeOf(value);
+  if (!isError
+    && !Array.isArray(value)
+    && proto !== Object.prototype
+    && proto !== null) {
+    return value;
+  }
+
+  ancestors.add(value);
+  let normalized;
+  if (isError) {
+    normalized = {
+      name: value.name,
+      message: value.message,
+    };
+    if (value.code !== undefined) {
+      normalized.code = normalizeValue(value.code, ancestors);
+    }
+    if (value.cause !== undefined) {
+      normalized.cause = normalizeValue(value.cause, ancestors);
+    }
+  } else if (Array.isArray(value)) {
+    normalized = value.map((item) => normalizeValue(item, ancestors));
+  } else {
+    normalized = {};
+    for (const [key, propValue] of Object.entries(value)) {
+      normalized[key] = normalizeValue(propValue, ancestors);
+    }
+  }
+  ancestors.delete(value);
+
+  return normalized;
+}
+
+/** Normalizes the arguments of an event for comparison and serialization.
+ *
+ * This is the default <code>eventArgs</code> option.  Errors are reduced to
+ * an object with their <code>name</code>, <code>message</code>, and (if
+ * defined) <code>code</code> and <code>cause</code>, so that equivalent
+ * Errors with different stacks are deep-equal.  Buffers are reduced to an
+ * object with <code>type</code> <code>'Buffer'</code> and the
+ * <code>hex</code> encoding of their contents.  Arrays and plain objects
+ * are copied with their values normalized, and references to an object from
+ * within itself are replaced by <code>'[Circular]'</code>.  Other values are
+ * returned unchanged.  Since objects of other classes (e.g. Dates, Maps, and
+ * streams) can not be copied without losing information, they are not
+ * copied, so references from within them to an object which contains them
+ * are not replaced, and may prevent the state from being serialized.
+ *
+ * @param {!Array} args Arguments of the event.
+ * @returns {!Array} Normalized arguments.
+ * @alias normalizeEventArgs
+ */
+module.exports = function normalizeEventArgs(args) {
+  return args.map((arg) => normalizeValue(arg, new Set()));
+};
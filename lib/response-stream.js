@@ -0,0 +1,97 @@
+/**
+ * @copyright Copyright 2026 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ */
+
+'use strict';
+
+const { PassThrough, pipeline } = require('node:stream');
+const zlib = require('node:zlib');
+
+/** Functions to create a decompression stream for each supported
+ * <code>Content-Encoding</code>.
+ *
+ * @constant
+ * @private
+ */
+const DECODERS = {
+  br: zlib.createBrotliDecompress,
+  deflate: zlib.createInflate,
+  gzip: zlib.createGunzip,
+  'x-gzip': zlib.createGunzip,
+};
+
+/** Normalizes HTTP headers for comparison.
+ *
+ * @param {!Object<string, (string|!Array<string>)>} headers Headers, as in
+ * {@link module:http.IncomingMessage#headers}.
+ * @param {!Set<string>} ignoreHeaders Lower-case names of headers to omit.
+ * @returns {!Object<string, (string|!Array<string>)>} Headers with
+ * lower-case names, in sorted order, without <code>ignoreHeaders</code>.
+ * @private
+ */
+function normalizeHeaders(headers, ignoreHeaders) {
+  const entries = Object.entries(headers)
+    .map(([name, value]) => [name.toLowerCase(), value])
+    .filter(([name]) => !ignoreHeaders.has(name))
+    .toSorted(([name1], [name2]) => (name1 < name2 ? -1 : 1));
+  return Object.fromEntries(entries);
+}
+
+/** Gets a stream of the body of an HTTP response which also emits the status
+ * and headers as events.
+ *
+ * The returned stream emits <code>'response'</code> with an object containing
+ * the <code>statusCode</code>, <code>statusMessage</code>, and normalized
+ * <code>headers</code> of the response before any data, and
+ * <code>'trailers'</code> with the normalized trailers of the response before
+ * <code>'end'</code>.  Errors from the response (or from decoding it) are
+ * emitted as <code>'error'</code>.
+ *
+ * @param {!module:http.IncomingMessage} response HTTP response.
+ * @param {!{decodeContent: boolean, ignoreHeaders: !Array<string>}} options
+ * Options.  If <code>decodeContent</code> is true, the body is decoded if the
+ * response has a supported <code>Content-Encoding</code>, and the
+ * <code>Content-Encoding</code> and <code>Content-Length</code> headers are
+ * omitted.  Headers named in <code>ignoreHeaders</code> are omitted.
+ * @returns {!module:stream.Readable} Stream of the response body.
+ * @private
+ */
+module.exports = function toResponseStream(response, options) {
+  const ignoreHeaders = new Set(
+    options.ignoreHeaders.map((name) => name.toLowerCase()),
+  );
+  const encoding = String(response.headers['content-encoding'] || '')
+    .trim()
+    .toLowerCase();
+  const createDecoder =
+    options.decodeContent && Object.hasOwn(DECODERS, encoding)
+      ? DECODERS[encoding]
+      : undefined;
+  if (options.decodeContent) {
+    // Omit from all responses, so encoded and unencoded responses are equal
+    ignoreHeaders.add('content-encoding');
+    ignoreHeaders.add('content-length');
+  }
+
+  const body = new PassThrough();
+  response.once('end', () => {
+    body.emit('trailers', normalizeHeaders(response.trailers, ignoreHeaders));
+  });
+
+  // Start piping after the caller adds listeners for 'response'
+  queueMicrotask(() => {
+    body.emit('response', {
+      statusCode: response.statusCode,
+      statusMessage: response.statusMessage,
+      headers: normalizeHeaders(response.headers, ignoreHeaders),
+    });
+
+    const streams = createDecoder ? [response, createDecoder(), body]
+      : [response, body];
+    // Note:  pipeline destroys body with any error, which emits 'error'
+    pipeline(...streams, () => {});
+  });
+
+  return body;
+};
@@ -0,0 +1,70 @@
+/**
+ * @copyright Copyright 2026 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ */
+
+'use strict';
+
+/** Amount of state retained for a stream when a comparison exceeded
+ * <code>maxRetained</code>.
+ *
+ * @typedef {{
+ *   name: string,
+ *   dataLen: number,
+ *   eventsLen: number
+ * }} StreamRetainedInfo
+ * @property {string} name Name of the stream (e.g. <code>'stream1'</code>).
+ * @property {number} dataLen Count of objects, bytes, or chars in the
+ * <code>data</code> of the stream state.
+ * @property {number} eventsLen Count of entries in the <code>events</code> of
+ * the stream state.
+ */
+
+/** Formats information about a stream for an error message.
+ *
+ * @param {!StreamRetainedInfo} info Stream information to format.
+ * @returns {string} Description of <code>info</code>.
+ * @private
+ */
+function formatStreamInfo(info) {
+  return `${info.name}: data ${info.dataLen}, events ${info.eventsLen}`;
+}
+
+/** Error for a comparison which retained more state for a stream than
+ * allowed by <code>maxRetained</code>.
+ *
+ * @augments Error
+ */
+class RetainedLimitError extends Error {
+  /** Constructs a RetainedLimitError.
+   *
+   * @param {string} message Description of the stream which exceeded the
+   * limit.
+   * @param {!Array<!StreamRetainedInfo>} streams State retained for each
+   * stream when the limit was exceeded.
+   * @param {boolean} hasIncremental Was an incremental comparison function
+   * configured.
+   */
+  constructor(message, streams, hasIncremental) {
+    const hint = hasIncremental
+      ? 'options.incremental is set, but did not remove enough compared state.'
+      : 'options.incremental is not set, so no state is removed.';
+    super(`${message}\n${streams.map(formatStreamInfo).join('\n')}\n${hint}`);
+
+    /** Was an incremental comparison function configured.
+     *
+     * @type {boolean}
+     */
+    this.hasIncremental = hasIncremental;
+
+    /** State retained for each stream when the limit was exceeded.
+     *
+     * @type {!Array<!StreamRetainedInfo>}
+     */
+    this.streams = streams;
+  }
+}
+
+RetainedLimitError.prototype.name = 'RetainedLimitError';
+
+module.exports = RetainedLimitError;
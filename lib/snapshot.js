@@ -0,0 +1,324 @@
+/**
+ * @copyright Copyright 2026 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ */
+
+'use strict';
+
+const { EventEmitter } = require('node:events');
+
+const STATUS_PROPERTIES = require('./status-properties.js');
+
+/** Property name used to tag encoded values which are not plain JSON.
+ *
+ * @constant
+ * @private
+ */
+const TYPE_PROP = '$type';
+
+/** Encodes a value as a JSON-compatible value which can be decoded by
+ * {@link decodeValue} without loss of information about Buffers, Errors, or
+ * <code>undefined</code>.
+ *
+ * @param {*} value Value to encode.
+ * @returns {*} JSON-compatible value representing <code>value</code>.
+ * @private
+ */
+function encodeValue(value) {
+  if (value === undefined) {
+    return { [TYPE_PROP]: 'undefined' };
+  }
+
+  if (Buffer.isBuffer(value)) {
+    return { [TYPE_PROP]: 'Buffer', hex: value.toString('hex') };
+  }
+
+  if (value instanceof Error) {
+    const encoded = {
+      [TYPE_PROP]: 'Error',
+      name: value.name,
+      message: value.message,
+      props: {},
+    };
+    for (const [propName, propValue] of Object.entries(value)) {
+      encoded.props[propName] = encodeValue(propValue);
+    }
+    return encoded;
+  }
+
+  if (Array.isArray(value)) {
+    return value.map(encodeValue);
+  }
+
+  if (value !== null && typeof value === 'object') {
+    const encoded = {};
+    for (const [propName, propValue] of Object.entries(value)) {
+      encoded[propName] = encodeValue(propValue);
+    }
+    return Object.hasOwn(value, TYPE_PROP)
+      ? { [TYPE_PROP]: 'Object', value: encoded }
+      : encoded;
+  }
+
+  return value;
+}
+
+/** Decodes a value encoded by {@link encodeValue}.
+ *
+ * Errors are decoded using the global constructor matching their name, if
+ * any, or Error otherwise.
+ *
+ * @param {*} value Value to decode.
+ * @returns {*} Decoded value.
+ * @private
+ */
+function decodeValue(value) {
+  if (Array.isArray(value)) {
+    return value.map(decodeValue);
+  }
+
+  if (value === null || typeof value !== 'object') {
+    return value;
+  }
+
+  switch (value[TYPE_PROP]) {
+    case undefined: {
+      const decoded = {};
+      for (const [propName, propValue] of Object.entries(value)) {
+        decoded[propName] = decodeValue(propValue);
+      }
+      return decoded;
+    }
+
+    case 'Buffer':
+      return Buffer.from(value.hex, 'hex');
+
+    case 'Error': {
+      const ErrorCtor = Object.hasOwn(globalThis, value.name)
+        && globalThis[value.name].prototype instanceof Error
+        ? globalThis[value.name]
+        : Error;
+      const err = new ErrorCtor(value.message);
+      if (err.name !== value.name) {
+        err.name = value.name;
+      }
+      const props = Object.entries(value.props);
+      for (const [propName, propValue] of props) {
+        err[propName] = decodeValue(propValue);
+      }
+      return err;
+    }
+
+    case 'Object': {
+      const decoded = {};
+      const props = Object.entries(value.value);
+      for (const [propName, propValue] of props) {
+        decoded[propName] = decodeValue(propValue);
+      }
+      return decoded;
+    }
+
+    case 'undefined':
+      return undefined;
+
+    default:
+      throw new TypeError(`Unrecognized snapshot value type '${
+        value[TYPE_PROP]}'`);
+  }
+}
+
+/** Gets data from the argument of a recorded <code>'data'</code> event.
+ *
+ * Only used for streams which are not in <code>objectMode</code>, where data
+ * is a Buffer or string, so a tagged value can only be a normalized Buffer.
+ *
+ * @param {*} arg Recorded argument, which may be a Buffer reduced to a
+ * tagged value by <code>normalizeEventArgs</code>.
+ * @returns {*} Data from <code>arg</code>.
+ * @private
+ */
+function eventArgToData(arg) {
+  if (arg !== null
+    && typeof arg === 'object'
+    && arg.type === 'Buffer'
+    && typeof arg.hex === 'string'
+    && Object.keys(arg).length === 2) {
+    return Buffer.from(arg.hex, 'hex');
+  }
+
+  return arg;
+}
+
+/** A stream which replays the data and events of a recorded StreamState.
+ *
+ * Data is returned by <code>.read()</code> or emitted as <code>'data'</code>
+ * events once <code>.resume()</code> is called or (unless it is read by
+ * <code>.read()</code>) a <code>'data'</code> listener is added.  Recorded
+ * events are emitted in the recorded order after the data preceding them is
+ * read.  If <code>'data'</code> events were
+ * recorded, their arguments are used as the data, to preserve the recorded
+ * chunks and their order relative to other events.  (Note that values which
+ * were normalized by the <code>eventArgs</code> option are replayed as
+ * normalized, except for Buffer chunks when not in <code>objectMode</code>.)
+ * Otherwise, the recorded data precedes all recorded events.
+ *
+ * @augments EventEmitter
+ * @private
+ */
+// Must be an EventEmitter to be compared as a stream
+// eslint-disable-next-line unicorn/prefer-event-target
+class ReplayStream extends EventEmitter {
+  /** Constructs a ReplayStream.
+   *
+   * @param {!module:stream-compare.StreamState} state Recorded state to
+   * replay.
+   * @param {boolean} objectMode Was the state recorded in objectMode?
+   * @param {!Array<string>} endEvents Names of events which end a stream.  If
+   * none were recorded, the first is emitted after the recorded events.
+   * @param {boolean} isRead Will the stream be read by <code>.read()</code>?
+   * If so, adding a <code>'data'</code> listener does not resume it, so that
+   * recorded data is returned by <code>.read()</code>, rather than only
+   * emitted as <code>'data'</code> events.
+   */
+  constructor(state, objectMode, endEvents, isRead) {
+    super();
+
+    /** Recorded data and events, in the order they will be replayed.
+     *
+     * @type {!Array<!{data: *}|!{name: string, args: !Array}>}
+     */
+    this.script = [];
+
+    const events = state.events || [];
+    if (events.every((event) => event.name !== 'data')) {
+      if (objectMode) {
+        const objects = state.data || [];
+        for (const data of objects) {
+          this.script.push({ data });
+        }
+      } else if (state.data !== undefined && state.data !== null) {
+        this.script.push({ data: state.data });
+      }
+    }
+
+    for (const event of events) {
+      if (event.name !== 'data') {
+        this.script.push(event);
+      } else if (objectMode) {
+        // Note:  Any value could have the form of a normalized Buffer, so
+        // replay the recorded argument, which normalizes to itself.
+        this.script.push({ data: event.args[0], event });
+      } else {
+        this.script.push({ data: eventArgToData(event.args[0]), event });
+      }
+    }
+
+    if (endEvents.length > 0
+      && events.every((event) => !endEvents.includes(event.name))) {
+      this.script.push({ name: endEvents[0], args: [] });
+    }
+
+    // Report the recorded status of the stream, so it is copied to the
+    // StreamState of the replay as it was to the recorded StreamState.
+    for (const propName of STATUS_PROPERTIES) {
+      if (state[propName] !== undefined) {
+        this[propName] = state[propName];
+      }
+    }
+
+    this.isFlowing = false;
+    this.isScheduled = false;
+
+    if (!isRead) {
+      this.on('newListener', (eventName) => {
+        if (eventName === 'data') {
+          this.resume();
+        }
+      });
+    }
+  }
+
+  /** Emits recorded events up to the next recorded data.
+   *
+   * @private
+   */
+  emitEvents() {
+    while (this.script.length > 0 && !Object.hasOwn(this.script[0], 'data')) {
+      const { name, args } = this.script.shift();
+      // Avoid throwing for 'error' events which are not being observed
+      if (name !== 'error' || this.listenerCount('error') > 0) {
+        this.emit(name, ...args);
+      }
+    }
+  }
+
+  /** Schedules emitting recorded events up to the next recorded data,
+   * followed by <code>'readable'</code> if there is more data.
+   *
+   * @private
+   */
+  scheduleEvents() {
+    if (this.isScheduled) {
+      return;
+    }
+
+    this.isScheduled = true;
+    queueMicrotask(() => {
+      this.isScheduled = false;
+      this.emitEvents();
+      if (this.script.length > 0) {
+        if (this.isFlowing) {
+          this.flow();
+        } else {
+          this.emit('readable');
+        }
+      }
+    });
+  }
+
+  /** Emits all recorded data as <code>'data'</code> events.
+   *
+   * @private
+   */
+  flow() {
+    while (this.script.length > 0 && Object.hasOwn(this.script[0], 'data')) {
+      this.emit('data', this.script.shift().data);
+    }
+    this.scheduleEvents();
+  }
+
+  /** Reads the next recorded data.
+   *
+   * @returns {*} Next recorded data, or <code>null</code> if there is none
+   * before the next recorded event or the end of the recording.
+   */
+  read() {
+    if (this.script.length > 0 && Object.hasOwn(this.script[0], 'data')) {
+      const { data, event } = this.script.shift();
+      if (event) {
+        this.emit('data', data);
+      }
+      return data;
+    }
+
+    this.scheduleEvents();
+    // eslint-disable-next-line unicorn/no-null
+    return null;
+  }
+
+  /** Replays the recording by emitting <code>'data'</code> events.
+   *
+   * @returns {!ReplayStream} <code>this</code>.
+   */
+  resume() {
+    if (!this.isFlowing) {
+      this.isFlowing = true;
+      queueMicrotask(() => this.flow());
+    }
+    return this;
+  }
+}
+
+exports.ReplayStream = ReplayStream;
+exports.decodeValue = decodeValue;
+exports.encodeValue = encodeValue;
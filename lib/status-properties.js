@@ -0,0 +1,20 @@
+/**
+ * @copyright Copyright 2026 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ */
+
+'use strict';
+
+/** Names of the stream properties which are copied to each StreamState as the
+ * status of the stream.
+ *
+ * @constant
+ * @type {!Array<string>}
+ * @private
+ */
+module.exports = Object.freeze([
+  'destroyed',
+  'errored',
+  'readableAborted',
+  'readableEnded',
+]);
@@ -0,0 +1,114 @@
+/**
+ * @copyright Copyright 2026 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ */
+
+'use strict';
+
+/** Writes each chunk read from a Readable stream to each of several Writable
+ * streams, then ends them when the Readable ends.
+ *
+ * Backpressure is respected for each destination independently:  Chunks are
+ * not written to a destination while it is waiting for <code>'drain'</code>,
+ * and are instead queued for it.  Chunks are read from the source while any
+ * destination is ready for more, so that a destination which is not being
+ * read can not prevent the others from making progress (which could
+ * deadlock a comparison waiting for their output), until
+ * <code>maxPending</code> chunks are queued for a destination.  Reading then
+ * stops until it drains, which bounds the memory used for queued chunks.
+ * Once a destination emits <code>'error'</code> or <code>'close'</code>,
+ * nothing more is written to it.
+ *
+ * If the source emits <code>'error'</code>, each destination which has not
+ * closed is destroyed with the error.
+ *
+ * @param {!module:stream.Readable} source Stream from which to read.
+ * @param {!Array<!module:stream.Writable>} destinations Streams to which the
+ * chunks are written.
+ * @param {number} maxPending Maximum number of chunks queued for a
+ * destination which is waiting for <code>'drain'</code>.
+ * @private
+ */
+module.exports = function tee(source, destinations, maxPending) {
+  const pending = destinations.map(() => []);
+  const closed = destinations.map(() => false);
+  const waiting = destinations.map(() => false);
+  let sourceEnded = false;
+
+  function flush(i) {
+    if (closed[i]) {
+      return;
+    }
+
+    const destination = destinations[i];
+    const queue = pending[i];
+    while (!waiting[i] && queue.length > 0) {
+      if (!destination.write(queue.shift())) {
+        waiting[i] = true;
+      }
+    }
+
+    if (sourceEnded && queue.length === 0) {
+      closed[i] = true;
+      destination.end();
+    }
+  }
+
+  function isReady(i) {
+    return !closed[i] && !waiting[i] && pending[i].length === 0;
+  }
+
+  function isFull(queue) {
+    return queue.length >= maxPending;
+  }
+
+  function pull() {
+    while (!sourceEnded
+      && destinations.some((destination, i) => isReady(i))
+      && !pending.some(isFull)) {
+      const chunk = source.read();
+      if (chunk === null) {
+        break;
+      }
+
+      for (const [i, queue] of pending.entries()) {
+        if (!closed[i]) {
+          queue.push(chunk);
+          flush(i);
+        }
+      }
+    }
+  }
+
+  for (const [i, destination] of destinations.entries()) {
+    destination.on('drain', () => {
+      waiting[i] = false;
+      flush(i);
+      pull();
+    });
+
+    const onDone = () => {
+      closed[i] = true;
+      pending[i] = [];
+      pull();
+    };
+    destination.once('close', onDone);
+    destination.once('error', onDone);
+  }
+
+  source.on('readable', pull);
+  source.once('end', () => {
+    sourceEnded = true;
+    for (const i of destinations.keys()) {
+      flush(i);
+    }
+  });
+  source.once('error', (err) => {
+    for (const [i, destination] of destinations.entries()) {
+      if (!closed[i]) {
+        closed[i] = true;
+        destination.destroy(err);
+      }
+    }
+  });
+};
@@ -0,0 +1,75 @@
+/**
+ * @copyright Copyright 2026 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ */
+
+'use strict';
+
+/** State of a stream when a comparison timed out.
+ *
+ * @typedef {{
+ *   name: string,
+ *   ended: boolean,
+ *   expectEvents: boolean,
+ *   lastEvent: (string|undefined),
+ *   totalDataLen: number,
+ *   waitingForReadable: boolean
+ * }} StreamTimeoutInfo
+ * @property {string} name Name of the stream (e.g. <code>'stream1'</code>).
+ * @property {boolean} ended Has the stream emitted an end event.
+ * @property {boolean} expectEvents Were more events expected from the stream.
+ * @property {string|undefined} lastEvent Name of the last event recorded for
+ * the stream, if any.
+ * @property {number} totalDataLen Count of objects, bytes, or chars read from
+ * the stream.
+ * @property {boolean} waitingForReadable Was the comparison waiting for the
+ * stream to emit <code>'readable'</code>.
+ */
+
+/** Formats information about a stream for an error message.
+ *
+ * @param {!StreamTimeoutInfo} info Stream information to format.
+ * @returns {string} Description of <code>info</code>.
+ * @private
+ */
+function formatStreamInfo(info) {
+  const parts = [
+    info.ended ? 'ended' : 'not ended',
+    info.expectEvents ? 'expecting events' : 'not expecting events',
+  ];
+  if (info.waitingForReadable) {
+    parts.push('waiting for \'readable\'');
+  }
+  parts.push(
+    `totalDataLen ${info.totalDataLen}`,
+    info.lastEvent === undefined ? 'no events'
+      : `last event '${info.lastEvent}'`,
+  );
+  return `${info.name}: ${parts.join(', ')}`;
+}
+
+/** Error for a comparison which did not finish in the time allowed.
+ *
+ * @augments Error
+ */
+class TimeoutError extends Error {
+  /** Constructs a TimeoutError.
+   *
+   * @param {string} message Description of the timeout.
+   * @param {!Array<!StreamTimeoutInfo>} streams State of each stream when the
+   * timeout occurred.
+   */
+  constructor(message, streams) {
+    super(`${message}\n${streams.map(formatStreamInfo).join('\n')}`);
+
+    /** State of each stream when the timeout occurred.
+     *
+     * @type {!Array<!StreamTimeoutInfo>}
+     */
+    this.streams = streams;
+  }
+}
+
+TimeoutError.prototype.name = 'TimeoutError';
+
+module.exports = TimeoutError;
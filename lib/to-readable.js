@@ -0,0 +1,51 @@
+/**
+ * @copyright Copyright 2026 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ */
+
+'use strict';
+
+const { EventEmitter } = require('node:events');
+const { Readable } = require('node:stream');
+
+/** Gets a Readable stream which reads from a given source.
+ *
+ * Web API <code>ReadableStream</code> objects are read through a
+ * {@link module:stream.Readable} (created by
+ * {@link module:stream.Readable.fromWeb}) which emits <code>'end'</code>,
+ * <code>'error'</code>, and <code>'close'</code> when the
+ * <code>ReadableStream</code> closes, errors, or is cancelled, so that they
+ * can be compared with events from Node.js streams.
+ *
+ * Async iterables (e.g. async generators) are read through a
+ * {@link module:stream.Readable} (created by
+ * {@link module:stream.Readable.from}) without buffering, so that the iterator
+ * is only advanced when a value is read.  Completion or a thrown error is
+ * emitted as <code>'end'</code> or <code>'error'</code>.
+ *
+ * @param {*} source Source from which to read.
+ * @param {boolean=} objectMode Read values from <code>source</code> as
+ * objects, rather than as Buffers or strings.
+ * @returns {*} A Readable stream which reads from <code>source</code>, or
+ * <code>source</code> if it is an <code>EventEmitter</code> or can not be
+ * converted.
+ * @private
+ */
+module.exports = function toReadable(source, objectMode) {
+  if (source instanceof EventEmitter) {
+    return source;
+  }
+
+  if (source instanceof ReadableStream) {
+    return Readable.fromWeb(source, { objectMode: Boolean(objectMode) });
+  }
+
+  if (source && typeof source[Symbol.asyncIterator] === 'function') {
+    return Readable.from(source, {
+      highWaterMark: 0,
+      objectMode: Boolean(objectMode),
+    });
+  }
+
+  return source;
+};
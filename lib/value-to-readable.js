@@ -0,0 +1,50 @@
+/**
+ * @copyright Copyright 2026 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ */
+
+'use strict';
+
+const { createReadStream } = require('node:fs');
+const { Readable } = require('node:stream');
+
+/** Gets a Readable stream which produces an expected value.
+ *
+ * The returned stream is always in object mode, so that chunks are read
+ * exactly as given (e.g. strings are not converted to Buffers), and is created
+ * with a <code>highWaterMark</code> of 0, so that iterators are only advanced
+ * when a chunk is read.
+ *
+ * @param {*} value Expected value.  A string or Buffer is produced as a single
+ * chunk.  A <code>URL</code> is the location of a file which is read as
+ * Buffers.  A generator function is called to get an iterator.  Elements of
+ * Arrays and values of other (sync or async) iterables are produced as
+ * chunks.
+ * @returns {!module:stream.Readable} A Readable stream which produces
+ * <code>value</code>.
+ * @throws {TypeError} If <code>value</code> is not one of the supported types.
+ * @private
+ */
+module.exports = function valueToReadable(value) {
+  if (value instanceof URL) {
+    return createReadStream(value);
+  }
+
+  if (typeof value === 'string' || value instanceof Buffer) {
+    value = [value];
+  } else if (typeof value === 'function') {
+    value = value();
+  }
+
+  if (!value
+    || (typeof value[Symbol.iterator] !== 'function'
+      && typeof value[Symbol.asyncIterator] !== 'function')) {
+    throw new TypeError('expected must be a string, Buffer, URL, iterable, '
+      + 'or generator function');
+  }
+
+  return Readable.from(value, {
+    highWaterMark: 0,
+    objectMode: true,
+  });
+};
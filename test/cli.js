@@ -0,0 +1,223 @@
+/**
+ * @copyright Copyright 2026 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ */
+
+'use strict';
+
+const assert = require('node:assert');
+const {
+  mkdtemp,
+  rm,
+  writeFile,
+} = require('node:fs/promises');
+const os = require('node:os');
+const path = require('node:path');
+const { PassThrough } = require('node:stream');
+
+const main = require('../cli.js');
+const packageJson = require('../package.json');
+
+const sharedArgs = ['node', 'stream-compare'];
+
+async function runMain(args, stdinData) {
+  const stdin = new PassThrough();
+  const stdout = new PassThrough({ encoding: 'utf8' });
+  const stderr = new PassThrough({ encoding: 'utf8' });
+  stdin.end(stdinData);
+  const exitCode = await main([...sharedArgs, ...args], {
+    stdin,
+    stdout,
+    stderr,
+  });
+  return {
+    exitCode,
+    stdout: stdout.read() || '',
+    stderr: stderr.read() || '',
+  };
+}
+
+/** Gets a shell command which runs node to write a string to stdout.
+ *
+ * @param {string} output String to write.
+ * @returns {string} Shell command.
+ */
+function nodeEchoCommand(output) {
+  const script = `process.stdout.write(${JSON.stringify(output)})`;
+  return `"${process.execPath}" -e ${JSON.stringify(script)}`;
+}
+
+describe('stream-compare command', () => {
+  let tempDir;
+  let helloPath;
+  let helpPath;
+  before(async () => {
+    tempDir = await mkdtemp(path.join(os.tmpdir(), 'stream-compare-cli-'));
+    helloPath = path.join(tempDir, 'hello.txt');
+    await writeFile(helloPath, 'hello\nworld\n');
+    helpPath = path.join(tempDir, 'help.txt');
+    await writeFile(helpPath, 'hello\nwould\n');
+  });
+  after(() => rm(tempDir, { force: true, recursive: true }));
+
+  it('exits 0 for same files', async () => {
+    const result = await runMain([helloPath, helloPath]);
+    assert.deepStrictEqual(result, { exitCode: 0, stdout: '', stderr: '' });
+  });
+
+  it('exits 1 and reports first difference for different files', async () => {
+    const result = await runMain([helloPath, helpPath]);
+    assert.strictEqual(result.exitCode, 1);
+    assert.strictEqual(result.stderr, '');
+    assert.match(
+      result.stdout,
+      /^\S+hello\.txt \S+help\.txt differ: Data differs at offset 8 \(line 2, column 3\):\n/,
+    );
+    assert.doesNotMatch(result.stdout, /actual - expected/);
+  });
+
+  it('does not print differences with --silent', async () => {
+    const result = await runMain(['--silent', helloPath, helpPath]);
+    assert.deepStrictEqual(result, { exitCode: 1, stdout: '', stderr: '' });
+  });
+
+  it('compares file with stdin', async () => {
+    const result = await runMain([helloPath, '-'], 'hello\nworld\n');
+    assert.deepStrictEqual(result, { exitCode: 0, stdout: '', stderr: '' });
+  });
+
+  it('detects difference between file and stdin', async () => {
+    const result = await runMain(['-', helloPath], 'hello\n');
+    assert.strictEqual(result.exitCode, 1);
+    assert.match(
+      result.stdout,
+      /Data differs at offset 6 \(line 2, column 1\):/,
+    );
+  });
+
+  it('exits 2 for missing file', async () => {
+    const missingPath = path.join(tempDir, 'missing.txt');
+    const result = await runMain([helloPath, missingPath]);
+    assert.strictEqual(result.exitCode, 2);
+    assert.strictEqual(result.stdout, '');
+    assert.match(result.stderr, /ENOENT/);
+  });
+
+  it('compares output of commands with --command', async () => {
+    const result = await runMain([
+      '--command',
+      nodeEchoCommand('hello'),
+      nodeEchoCommand('hello'),
+    ]);
+    assert.deepStrictEqual(result, { exitCode: 0, stdout: '', stderr: '' });
+  });
+
+  it('detects difference in output of commands', async () => {
+    const result = await runMain([
+      '-c',
+      nodeEchoCommand('hello'),
+      nodeEchoCommand('help'),
+    ]);
+    assert.strictEqual(result.exitCode, 1);
+    assert.match(
+      result.stdout,
+      /Data differs at offset 3 \(line 1, column 4\):/,
+    );
+  });
+
+  it('compares output written after the other command exits', async () => {
+    const script = 'setTimeout(() => process.stdout.write("same"), 200)';
+    const result = await runMain([
+      '--command',
+      `"${process.execPath}" -e ${JSON.stringify(script)}`,
+      nodeEchoCommand('same'),
+    ]);
+    assert.deepStrictEqual(result, { exitCode: 0, stdout: '', stderr: '' });
+  });
+
+  it('compares stderr of commands with --stderr', async () => {
+    const script = 'process.stdout.write("out");process.stderr.write("err")';
+    const command = `"${process.execPath}" -e ${JSON.stringify(script)}`;
+    const result = await runMain([
+      '--command',
+      '--stderr',
+      command,
+      nodeEchoCommand('err'),
+    ]);
+    assert.strictEqual(result.exitCode, 1);
+    assert.strictEqual(result.stderr, '');
+    assert.match(
+      result.stdout,
+      /Data differs at offset 0 \(line 1, column 1\):/,
+    );
+  });
+
+  it('compares NDJSON values with --object-mode', async () => {
+    const jsonPath = path.join(tempDir, 'values.json');
+    await writeFile(jsonPath, '{"a":1}\n\n[2,3]\n');
+    const same =
+      await runMain(['--object-mode', '-', jsonPath], '{"a": 1}\n[2, 3]');
+    assert.deepStrictEqual(same, { exitCode: 0, stdout: '', stderr: '' });
+
+    const differ = await runMain(['-n', '-', jsonPath], '{"a": 1}\n[2, 4]');
+    assert.strictEqual(differ.exitCode, 1);
+    assert.strictEqual(
+      differ.stdout,
+      `- ${jsonPath} differ: Values differ at index 1, path [1]:\n`
+      + '  data1: 4\n'
+      + '  data2: 3\n',
+    );
+  });
+
+  it('exits 2 for invalid NDJSON', async () => {
+    const result = await runMain(['-n', '-', helloPath], '{"a": 1}\n');
+    assert.strictEqual(result.exitCode, 2);
+    assert.match(result.stderr, /line 1/);
+  });
+
+  it('compares events listed in --events', async () => {
+    const result = await runMain(
+      ['--events', 'end', '--read-policy', 'flowing', helloPath, helloPath],
+    );
+    assert.deepStrictEqual(result, { exitCode: 0, stdout: '', stderr: '' });
+  });
+
+  it('exits 2 for invalid --read-policy', async () => {
+    const result = await runMain(['--read-policy', 'bad', '-', helloPath]);
+    assert.strictEqual(result.exitCode, 2);
+    assert.match(result.stderr, /readPolicy/);
+  });
+
+  it('exits 2 for invalid --delay', async () => {
+    const result = await runMain(['--delay', 'soon', '-', helloPath]);
+    assert.strictEqual(result.exitCode, 2);
+    assert.match(result.stderr, /--delay/);
+  });
+
+  it('exits 2 with usage hint for wrong number of sources', async () => {
+    const result = await runMain([helloPath]);
+    assert.strictEqual(result.exitCode, 2);
+    assert.match(result.stderr, /--help/);
+  });
+
+  it('prints usage with --help', async () => {
+    const result = await runMain(['--help']);
+    assert.strictEqual(result.exitCode, 0);
+    assert.match(result.stdout, /^Usage: stream-compare /);
+  });
+
+  it('prints version with --version', async () => {
+    const result = await runMain(['--version']);
+    assert.deepStrictEqual(
+      result,
+      { exitCode: 0, stdout: `${packageJson.version}\n`, stderr: '' },
+    );
+  });
+
+  it('rejects TypeError for non-Array args', async () => {
+    await assert.rejects(
+      () => main(undefined, {}),
+      TypeError,
+    );
+  });
+});
@@ -6,8 +6,21 @@
 'use strict';
 
 const assert = require('node:assert');
-const { EventEmitter } = require('node:events');
+const { spawn } = require('node:child_process');
+const { EventEmitter, once } = require('node:events');
+const {
+  mkdtemp,
+  readFile,
+  rm,
+  writeFile,
+} = require('node:fs/promises');
+const http = require('node:http');
+const os = require('node:os');
+const path = require('node:path');
 const stream = require('node:stream');
+const { pathToFileURL } = require('node:url');
+const { isDeepStrictEqual } = require('node:util');
+const zlib = require('node:zlib');
 
 // https://github.com/import-js/eslint-plugin-import/issues/2844
 // eslint-disable-next-line import/extensions
@@ -30,6 +43,15 @@ function neverCalled(arg) {
   throw err;
 }
 
+/** Gets the value to which a Buffer is reduced by normalizeEventArgs.
+ *
+ * @param {!Buffer} buffer Buffer to reduce.
+ * @returns {!{type: string, hex: string}} Tagged value for buffer.
+ */
+function taggedBuffer(buffer) {
+  return { type: 'Buffer', hex: buffer.toString('hex') };
+}
+
 // Many tests define helper functions which could be global.
 // More readable to keep them near their point of use.
 /* eslint-disable unicorn/consistent-function-scoping */
@@ -324,6 +346,35 @@ describe('streamCompare', () => {
       );
     });
 
+    it('throws for no .read() method and readPolicy \'lockstep\'', () => {
+      assert.throws(
+        () => {
+          const options = {
+            compare: assert.deepStrictEqual,
+            readPolicy: 'lockstep',
+          };
+          streamCompare(stream1, new EventEmitter(), options);
+        },
+        (err) => err instanceof TypeError
+          && /\bread\b/.test(err.message)
+          && /\blockstep\b/.test(err.message),
+      );
+    });
+
+    it('throws for negative options.maxLead', () => {
+      assert.throws(
+        () => {
+          const options = {
+            compare: assert.deepStrictEqual,
+            maxLead: -1,
+          };
+          streamCompare(stream1, stream2, options);
+        },
+        (err) => err instanceof RangeError
+          && /\boptions\.maxLead\b/.test(err.message),
+      );
+    });
+
     it('throws for missing optionsOrCompare', () => {
       assert.throws(
         () => { streamCompare(stream1, stream2, null); },
@@ -340,6 +391,20 @@ describe('streamCompare', () => {
       );
     });
 
+    it('throws for invalid options.clone', () => {
+      assert.throws(
+        () => {
+          const options = {
+            clone: 'structuredClone',
+            compare: assert.deepStrictEqual,
+          };
+          streamCompare(stream1, stream2, options);
+        },
+        (err) => err instanceof TypeError
+          && /\boptions\.clone\b/.test(err.message),
+      );
+    });
+
     it('throws for invalid options.readPolicy', () => {
       assert.throws(
         () => {
@@ -354,7 +419,20 @@ describe('streamCompare', () => {
       );
     });
 
-    const optionNames = ['endEvents', 'events', 'incremental', 'readPolicy'];
+    const optionNames = [
+      'checkpointEvery',
+      'checkpointInterval',
+      'endEvents',
+      'eventArgs',
+      'events',
+      'incremental',
+      'maxLead',
+      'maxRetained',
+      'readPolicy',
+      'signal',
+      'stallTimeout',
+      'timeout',
+    ];
     for (const optionName of optionNames) {
       it(`for invalid options.${optionName}`, () => {
         assert.throws(
@@ -434,6 +512,390 @@ describe('streamCompare', () => {
     });
   });
 
+  describe('callback', () => {
+    it('is called with null and the comparison result', (done) => {
+      const stream1 = new stream.PassThrough();
+      const stream2 = new stream.PassThrough();
+      const compareResult = {};
+      streamCompare(stream1, stream2, () => compareResult, (err, result) => {
+        assert.strictEqual(err, null);
+        assert.strictEqual(result, compareResult);
+        done();
+      });
+      stream1.end();
+      stream2.end();
+    });
+
+    it('is called with the comparison error', (done) => {
+      const stream1 = new stream.PassThrough();
+      const stream2 = new stream.PassThrough();
+      streamCompare(stream1, stream2, assert.deepStrictEqual, (err, result) => {
+        assertInstanceOf(err, assert.AssertionError);
+        assert.strictEqual(result, undefined);
+        done();
+      });
+      stream1.end('hello');
+      stream2.end('world');
+    });
+
+    it('does not cause unhandled rejection if promise is ignored', (done) => {
+      const stream1 = new stream.PassThrough();
+      const stream2 = new stream.PassThrough();
+      const unhandled = [];
+      function onUnhandled(reason) {
+        unhandled.push(reason);
+      }
+      process.on('unhandledRejection', onUnhandled);
+      const errTest = new Error('test');
+      const options = {
+        abortOnError: true,
+        compare: neverCalled,
+      };
+      streamCompare(stream1, stream2, options, (err) => {
+        assert.strictEqual(err, errTest);
+        setImmediate(() => {
+          process.removeListener('unhandledRejection', onUnhandled);
+          assert.deepStrictEqual(unhandled, []);
+          done();
+        });
+      });
+      stream1.emit('error', errTest);
+    });
+
+    it('is called once', () => {
+      const stream1 = new stream.PassThrough();
+      const stream2 = new stream.PassThrough();
+      let callCount = 0;
+      const options = {
+        incremental: () => false,
+      };
+      const promise = streamCompare(stream1, stream2, options, () => {
+        callCount += 1;
+      });
+      stream1.write('hello');
+      stream2.write('hello');
+      return promise
+        .then(() => {
+          stream1.end();
+          stream2.end();
+          stream1.resume();
+          stream2.resume();
+          return new Promise((resolve) => { setImmediate(resolve); });
+        })
+        .then(() => {
+          assert.strictEqual(callCount, 1);
+        });
+    });
+
+    it('is called after the returned promise settles', () => {
+      const stream1 = new stream.PassThrough();
+      const stream2 = new stream.PassThrough();
+      const calls = [];
+      const promise = streamCompare(stream1, stream2, () => 'result', () => {
+        calls.push('callback');
+      });
+      stream1.end();
+      stream2.end();
+      return promise
+        .then((result) => {
+          assert.strictEqual(result, 'result');
+          calls.push('promise');
+          return new Promise((resolve) => { setImmediate(resolve); });
+        })
+        .then(() => {
+          assert.deepStrictEqual(calls, ['promise', 'callback']);
+        });
+    });
+
+    it('is supported by .all()', (done) => {
+      const streams = [
+        new stream.PassThrough(),
+        new stream.PassThrough(),
+        new stream.PassThrough(),
+      ];
+      streamCompare.all(streams, (states) => states.length, (err, result) => {
+        assert.strictEqual(err, null);
+        assert.strictEqual(result, 3);
+        done();
+      });
+      for (const s of streams) {
+        s.end();
+      }
+    });
+
+    it('throws TypeError for non-function callback', () => {
+      assert.throws(
+        () => {
+          streamCompare(
+            new stream.PassThrough(),
+            new stream.PassThrough(),
+            assert.deepStrictEqual,
+            true,
+          );
+        },
+        (err) => err instanceof TypeError
+          && /\bcallback\b/.test(err.message),
+      );
+    });
+  });
+
+  describe('checkpointEvery', () => {
+    it('compares after each amount of data read', () => {
+      const stream1 = new stream.PassThrough({ objectMode: true });
+      const stream2 = new stream.PassThrough({ objectMode: true });
+      const checkpointDataLens = [];
+      const options = {
+        checkpointEvery: 2,
+        compare: (state1, state2) => {
+          if (!state1.ended || !state2.ended) {
+            checkpointDataLens.push(state1.totalDataLen + state2.totalDataLen);
+          }
+        },
+        objectMode: true,
+      };
+      const promise = streamCompare(stream1, stream2, options).then(() => {
+        assert.deepStrictEqual(checkpointDataLens, [2, 4, 6]);
+      });
+      for (let i = 0; i < 3; i += 1) {
+        stream1.write(i);
+        stream2.write(i);
+      }
+      setImmediate(() => {
+        stream1.end();
+        stream2.end();
+      });
+      return promise;
+    });
+
+    it('resolves with checkpoint result', () => {
+      const stream1 = new stream.PassThrough();
+      const stream2 = new stream.PassThrough();
+      const options = {
+        checkpointEvery: 5,
+        compare: (state1, state2) => state1.data.toString(),
+      };
+      const promise = streamCompare(stream1, stream2, options)
+        .then((result) => {
+          assert.strictEqual(result, 'hello');
+        });
+      stream1.write('hello');
+      return promise;
+    });
+
+    it('throws RangeError for negative checkpointEvery', () => {
+      const stream1 = new stream.PassThrough();
+      const stream2 = new stream.PassThrough();
+      const options = {
+        checkpointEvery: -1,
+        compare: assert.deepStrictEqual,
+      };
+      assert.throws(
+        () => streamCompare(stream1, stream2, options),
+        (err) => err instanceof RangeError
+          && /\boptions\.checkpointEvery\b/.test(err.message),
+      );
+    });
+  });
+
+  describe('checkpointInterval', () => {
+    it('compares periodically until result', () => {
+      const stream1 = new stream.PassThrough();
+      const stream2 = new stream.PassThrough();
+      let compareCount = 0;
+      const options = {
+        checkpointInterval: 1,
+        compare: (state1, state2) => {
+          compareCount += 1;
+          return compareCount === 3 ? 'done' : undefined;
+        },
+      };
+      const promise = streamCompare(stream1, stream2, options)
+        .then((result) => {
+          assert.strictEqual(result, 'done');
+          return new Promise((resolve) => { setTimeout(resolve, 10); });
+        })
+        .then(() => {
+          // Not compared after settling
+          assert.strictEqual(compareCount, 3);
+        });
+      return promise;
+    });
+
+    it('stops comparing once streams end', () => {
+      const stream1 = new stream.PassThrough();
+      const stream2 = new stream.PassThrough();
+      let compareCount = 0;
+      const options = {
+        checkpointInterval: 1,
+        compare: (state1, state2) => {
+          compareCount += 1;
+        },
+      };
+      const promise = streamCompare(stream1, stream2, options)
+        .then(() => {
+          const finalCount = compareCount;
+          return new Promise((resolve) => {
+            setTimeout(resolve, 10, finalCount);
+          });
+        })
+        .then((finalCount) => {
+          assert.strictEqual(compareCount, finalCount);
+        });
+      stream1.end();
+      stream2.end();
+      return promise;
+    });
+
+    it('does not keep the process running', () => {
+      const stream1 = new stream.PassThrough();
+      const stream2 = new stream.PassThrough();
+      const options = {
+        checkpointInterval: 60_000,
+        compare: assert.deepStrictEqual,
+      };
+      const promise = streamCompare(stream1, stream2, options);
+      const timer = setInterval(() => {}, 60_000);
+      const refHandles = process.getActiveResourcesInfo()
+        .filter((name) => name === 'Timeout').length;
+      clearInterval(timer);
+      stream1.end();
+      stream2.end();
+      return promise.then(() => {
+        // Only the timer in this test was active (refed)
+        assert.strictEqual(refHandles, 1);
+      });
+    });
+
+    it('throws RangeError for negative checkpointInterval', () => {
+      const stream1 = new stream.PassThrough();
+      const stream2 = new stream.PassThrough();
+      const options = {
+        checkpointInterval: -1,
+        compare: assert.deepStrictEqual,
+      };
+      assert.throws(
+        () => streamCompare(stream1, stream2, options),
+        (err) => err instanceof RangeError
+          && /\boptions\.checkpointInterval\b/.test(err.message),
+      );
+    });
+  });
+
+  describe('clone', () => {
+    /** Writes a value to two streams, then mutates it and ends the streams.
+     *
+     * @param {!module:stream.Writable} writable1 First stream.
+     * @param {!module:stream.Writable} writable2 Second stream.
+     */
+    function writeThenMutate(writable1, writable2) {
+      const value = { n: 1 };
+      writable1.write(value);
+      writable2.write({ n: 1 });
+      setImmediate(() => {
+        value.n = 2;
+        writable1.end();
+        writable2.end();
+      });
+    }
+
+    it('records objectMode values by reference by default', () => {
+      const stream1 = new stream.PassThrough({ objectMode: true });
+      const stream2 = new stream.PassThrough({ objectMode: true });
+      const options = {
+        compare: assert.deepStrictEqual,
+        objectMode: true,
+      };
+      const promise = streamCompare(stream1, stream2, options).then(
+        neverCalled,
+        (err) => { assertInstanceOf(err, assert.AssertionError); },
+      );
+      writeThenMutate(stream1, stream2);
+      return promise;
+    });
+
+    it('copies objectMode values with structuredClone if true', () => {
+      const stream1 = new stream.PassThrough({ objectMode: true });
+      const stream2 = new stream.PassThrough({ objectMode: true });
+      const options = {
+        clone: true,
+        compare: assert.deepStrictEqual,
+        objectMode: true,
+      };
+      const promise = streamCompare(stream1, stream2, options);
+      writeThenMutate(stream1, stream2);
+      return promise;
+    });
+
+    it('copies event arguments with structuredClone if true', () => {
+      function compare(state1, state2) {
+        assert.deepStrictEqual(state1.events, [
+          { name: 'custom', args: [new Date(0), { n: 1 }] },
+        ]);
+      }
+
+      const stream1 = new stream.PassThrough();
+      const stream2 = new stream.PassThrough();
+      const options = {
+        clone: true,
+        compare,
+        events: ['custom'],
+        readPolicy: 'none',
+      };
+      const promise = streamCompare(stream1, stream2, options);
+      const date = new Date(0);
+      const value = { n: 1 };
+      stream1.emit('custom', date, value);
+      date.setTime(1);
+      value.n = 2;
+      stream1.emit('end');
+      stream2.emit('end');
+      return promise;
+    });
+
+    it('copies values and event arguments with function', () => {
+      function clone(value) {
+        return typeof value === 'object' ? { ...value, cloned: true } : value;
+      }
+
+      function compare(state1, state2) {
+        assert.deepStrictEqual(state1.data, [{ n: 1, cloned: true }]);
+        assert.deepStrictEqual(state1.events, [
+          { name: 'custom', args: [{ n: 1, cloned: true }, 'str'] },
+        ]);
+      }
+
+      const stream1 = new stream.PassThrough({ objectMode: true });
+      const stream2 = new stream.PassThrough({ objectMode: true });
+      const options = {
+        clone,
+        compare,
+        events: ['custom'],
+        objectMode: true,
+      };
+      const promise = streamCompare(stream1, stream2, options);
+      stream1.emit('custom', { n: 1 }, 'str');
+      stream1.end({ n: 1 });
+      stream2.end();
+      return promise;
+    });
+
+    it('rejects with error thrown by clone', () => {
+      const stream1 = new stream.PassThrough();
+      const stream2 = new stream.PassThrough();
+      const options = {
+        clone: true,
+        compare: neverCalled,
+        events: ['custom'],
+      };
+      const promise = streamCompare(stream1, stream2, options).then(
+        neverCalled,
+        (err) => { assert.strictEqual(err.name, 'DataCloneError'); },
+      );
+      stream1.emit('custom', () => {});
+      return promise;
+    });
+  });
+
   describe('delay', () => {
     it('compares delayed end events if delayed more', () => {
       const stream1 = new stream.PassThrough();
@@ -527,13 +989,260 @@ describe('streamCompare', () => {
     });
   });
 
-  describe('events', () => {
-    it('compares Readable events by default', () => {
-      const stream1 = new stream.PassThrough();
-      const stream2 = new stream.PassThrough();
-      const promise = streamCompare(stream1, stream2, assert.deepStrictEqual);
-      stream1.emit('close');
-      stream1.end();
+  describe('premature close', () => {
+    it('ends and records prematureClose for destroyed stream', () => {
+      function compare(state1, state2) {
+        assert.strictEqual(state1.readableEnded, true);
+        assert.strictEqual(state1.readableAborted, false);
+        assert.strictEqual(
+          state1.events.some((event) => event.name === 'prematureClose'),
+          false,
+        );
+
+        assert.strictEqual(state2.ended, true);
+        assert.deepStrictEqual(state2.events, [
+          { name: 'close', args: [] },
+          { name: 'prematureClose', args: [] },
+        ]);
+        assert.strictEqual(state2.destroyed, true);
+        assert.strictEqual(state2.errored, null);
+        assert.strictEqual(state2.readableAborted, true);
+        assert.strictEqual(state2.readableEnded, false);
+      }
+
+      const stream1 = new stream.PassThrough();
+      const stream2 = new stream.PassThrough();
+      const promise = streamCompare(stream1, stream2, compare);
+      stream1.end('hello');
+      stream2.write('hel');
+      setImmediate(() => stream2.destroy());
+      return promise;
+    });
+
+    it('ends destroyed stream when \'flowing\'', () => {
+      function compare(state1, state2) {
+        assert.strictEqual(state1.ended, true);
+        assert.strictEqual(state1.readableAborted, true);
+      }
+
+      const stream1 = new stream.PassThrough();
+      const stream2 = new stream.PassThrough();
+      const options = {
+        compare,
+        readPolicy: 'flowing',
+      };
+      const promise = streamCompare(stream1, stream2, options);
+      stream1.destroy();
+      stream2.end();
+      return promise;
+    });
+
+    it('copies errored from stream destroyed with error', () => {
+      const errTest = new Error('test');
+      function compare(state1, state2) {
+        assert.deepStrictEqual(
+          state1.errored,
+          { name: 'Error', message: 'test' },
+        );
+        assert.strictEqual(state1.readableAborted, true);
+        assert.strictEqual(
+          state1.events.some((event) => event.name === 'prematureClose'),
+          false,
+        );
+        assert.strictEqual(state2.errored, null);
+      }
+
+      const stream1 = new stream.PassThrough();
+      const stream2 = new stream.PassThrough();
+      const promise = streamCompare(stream1, stream2, compare);
+      stream1.destroy(errTest);
+      stream2.end();
+      return promise;
+    });
+
+    it('copies status which can be round-tripped to JSON', () => {
+      const errTest = new Error('test');
+      errTest.code = 'ETEST';
+      function compare(state1, state2) {
+        for (const state of [state1, state2]) {
+          const json = JSON.stringify(state);
+          const parsed = JSON.parse(json);
+          for (const propName of ['destroyed', 'errored', 'readableAborted']) {
+            assert.deepStrictEqual(parsed[propName], state[propName]);
+          }
+        }
+        assert.strictEqual(state1.errored.code, 'ETEST');
+      }
+
+      const stream1 = new stream.PassThrough();
+      const stream2 = new stream.PassThrough();
+      const promise = streamCompare(stream1, stream2, compare);
+      stream1.destroy(errTest);
+      stream2.end();
+      return promise;
+    });
+
+    it('does not end stream when not in endEvents', () => {
+      const stream1 = new stream.PassThrough();
+      const stream2 = new stream.PassThrough();
+      const options = {
+        compare: neverCalled,
+        endEvents: ['end', 'error'],
+        timeout: 50,
+      };
+      const promise = streamCompare(stream1, stream2, options).then(
+        neverCalled,
+        (err) => {
+          assertInstanceOf(err, streamCompare.TimeoutError);
+          assert.strictEqual(err.streams[0].ended, false);
+          assert.strictEqual(err.streams[0].lastEvent, 'prematureClose');
+        },
+      );
+      stream1.destroy();
+      stream2.end();
+      return promise;
+    });
+
+    it('does not record status for non-stream EventEmitters', () => {
+      function compare(state1, state2) {
+        assert.strictEqual(state1.readableEnded, undefined);
+        assert.strictEqual(state2.readableEnded, true);
+      }
+
+      const emitter = new EventEmitter();
+      const stream2 = new stream.PassThrough();
+      const options = {
+        compare,
+        readPolicy: 'none',
+      };
+      const promise = streamCompare(emitter, stream2, options);
+      emitter.emit('end');
+      stream2.resume();
+      stream2.end();
+      return promise;
+    });
+  });
+
+  describe('eventArgs', () => {
+    it('compares equivalent Errors with different stacks as equal', () => {
+      const stream1 = new stream.PassThrough();
+      const stream2 = new stream.PassThrough();
+      const promise = streamCompare(stream1, stream2, assert.deepStrictEqual);
+      const err1 = new TypeError('test');
+      err1.code = 'ETEST';
+      stream1.emit('error', err1);
+      // Create on a different line, for a different stack
+      const err2 = new TypeError('test');
+      err2.code = 'ETEST';
+      stream2.emit('error', err2);
+      return promise;
+    });
+
+    it('records arguments which round-trip through JSON', () => {
+      function compare(state1, state2) {
+        const json = JSON.stringify(state1.events);
+        assert.deepStrictEqual(JSON.parse(json), state1.events);
+        assert.deepStrictEqual(state1.events[0].args, [
+          {
+            name: 'Error',
+            message: 'outer',
+            code: 'EOUTER',
+            cause: { name: 'RangeError', message: 'inner' },
+          },
+          { type: 'Buffer', hex: '6869' },
+          { self: '[Circular]', list: ['[Circular]'] },
+        ]);
+      }
+
+      const stream1 = new stream.PassThrough();
+      const stream2 = new stream.PassThrough();
+      const options = {
+        compare,
+        events: ['custom'],
+        readPolicy: 'none',
+      };
+      const promise = streamCompare(stream1, stream2, options);
+      const err = new Error('outer', { cause: new RangeError('inner') });
+      err.code = 'EOUTER';
+      const cyclic = {};
+      cyclic.self = cyclic;
+      cyclic.list = [cyclic];
+      stream1.emit('custom', err, Buffer.from('hi'), cyclic);
+      stream1.emit('end');
+      stream2.emit('end');
+      return promise;
+    });
+
+    it('is called with event arguments and name', () => {
+      const calls = [];
+      function eventArgs(args, eventName) {
+        calls.push([eventName, args]);
+        return [args.length];
+      }
+
+      function compare(state1, state2) {
+        assert.deepStrictEqual(state1.events, [
+          { name: 'custom', args: [2] },
+          { name: 'end', args: [0] },
+        ]);
+      }
+
+      const stream1 = new stream.PassThrough();
+      const stream2 = new stream.PassThrough();
+      const errTest = new Error('test');
+      const options = {
+        compare,
+        eventArgs,
+        events: ['custom', 'end'],
+        readPolicy: 'none',
+      };
+      const promise = streamCompare(stream1, stream2, options);
+      stream1.emit('custom', errTest, 1);
+      stream1.emit('end');
+      stream2.emit('end');
+      return promise.then(() => {
+        assert.deepStrictEqual(calls, [
+          ['custom', [errTest, 1]],
+          ['end', []],
+          ['end', []],
+        ]);
+      });
+    });
+
+    it('leaves shared and non-plain objects unchanged', () => {
+      const date = new Date(0);
+      const shared = { a: 1 };
+      assert.deepStrictEqual(
+        streamCompare.normalizeEventArgs([date, [shared, shared], 'str']),
+        [date, [{ a: 1 }, { a: 1 }], 'str'],
+      );
+      assert.strictEqual(streamCompare.normalizeEventArgs([date])[0], date);
+    });
+
+    it('does not replace cycles through non-plain objects', () => {
+      // Known limitation:  Objects of other classes are not copied, so
+      // references to their ancestors are not replaced.
+      class Node {
+        constructor(parent) {
+          this.parent = parent;
+        }
+      }
+      const root = { name: 'root' };
+      root.child = new Node(root);
+      const [normalized] = streamCompare.normalizeEventArgs([root]);
+      assert.notStrictEqual(normalized, root);
+      assert.strictEqual(normalized.child, root.child);
+      assert.throws(() => JSON.stringify(normalized), TypeError);
+    });
+  });
+
+  describe('events', () => {
+    it('compares Readable events by default', () => {
+      const stream1 = new stream.PassThrough();
+      const stream2 = new stream.PassThrough();
+      const promise = streamCompare(stream1, stream2, assert.deepStrictEqual);
+      stream1.emit('close');
+      stream1.end();
       stream2.emit('close');
       stream2.end();
       return promise;
@@ -840,6 +1549,163 @@ describe('streamCompare', () => {
     });
   });
 
+  describe('thenable results', () => {
+    function delayValue(value) {
+      return new Promise((resolve) => {
+        setTimeout(resolve, 5, value);
+      });
+    }
+
+    it('resolves with value fulfilled by compare', async () => {
+      const stream1 = new stream.PassThrough();
+      const stream2 = new stream.PassThrough();
+      const promise = streamCompare(stream1, stream2, () => delayValue(1));
+      stream1.end('hello');
+      stream2.end('hello');
+      assert.strictEqual(await promise, 1);
+    });
+
+    it('resolves undefined if compare fulfills undefined', async () => {
+      const stream1 = new stream.PassThrough();
+      const stream2 = new stream.PassThrough();
+      const promise = streamCompare(
+        stream1,
+        stream2,
+        () => delayValue(undefined),
+      );
+      stream1.end('hello');
+      stream2.end('hello');
+      assert.strictEqual(await promise, undefined);
+    });
+
+    it('rejects with reason rejected by compare', async () => {
+      const errTest = new Error('test');
+      const stream1 = new stream.PassThrough();
+      const stream2 = new stream.PassThrough();
+      const promise = streamCompare(stream1, stream2, async () => {
+        await delayValue();
+        throw errTest;
+      });
+      stream1.end('hello');
+      stream2.end('hello');
+      await assert.rejects(promise, (err) => err === errTest);
+    });
+
+    it('continues after incremental fulfills undefined', async () => {
+      let incrementalCount = 0;
+      const stream1 = new stream.PassThrough();
+      const stream2 = new stream.PassThrough();
+      const promise = streamCompare(stream1, stream2, {
+        compare: (state1, state2) => {
+          assert.deepStrictEqual(state1, state2);
+          return incrementalCount;
+        },
+        incremental: () => {
+          incrementalCount += 1;
+          return delayValue(undefined);
+        },
+      });
+      stream1.end('hello');
+      stream2.end('hello');
+      assert(await promise > 0);
+    });
+
+    it('does not read while incremental is pending', async () => {
+      let isPending = false;
+      const stream1 = new stream.PassThrough({ objectMode: true });
+      const stream2 = new stream.PassThrough({ objectMode: true });
+      const promise = streamCompare(stream1, stream2, {
+        compare: (state1, state2) => {
+          assert.strictEqual(isPending, false);
+          assert.deepStrictEqual(state1, state2);
+        },
+        incremental: async (state1, state2) => {
+          assert.strictEqual(isPending, false);
+          isPending = true;
+          const totalDataLens = [state1.totalDataLen, state2.totalDataLen];
+          await delayValue();
+          assert.deepStrictEqual(
+            [state1.totalDataLen, state2.totalDataLen],
+            totalDataLens,
+          );
+          isPending = false;
+        },
+        objectMode: true,
+      });
+      for (const value of [1, 2, 3]) {
+        stream1.write(value);
+        stream2.write(value);
+      }
+      stream1.end();
+      stream2.end();
+      await promise;
+    });
+
+    it('pauses flowing streams while incremental is pending', async () => {
+      let isPending = false;
+      const stream1 = new stream.PassThrough({ objectMode: true });
+      const stream2 = new stream.PassThrough({ objectMode: true });
+      const promise = streamCompare(stream1, stream2, {
+        compare: assert.deepStrictEqual,
+        incremental: async (state1, state2) => {
+          assert.strictEqual(isPending, false);
+          isPending = true;
+          const totalDataLens = [state1.totalDataLen, state2.totalDataLen];
+          await delayValue();
+          assert.deepStrictEqual(
+            [state1.totalDataLen, state2.totalDataLen],
+            totalDataLens,
+          );
+          isPending = false;
+        },
+        objectMode: true,
+        readPolicy: 'flowing',
+      });
+      stream1.write(1);
+      stream2.write(1);
+      await delayValue();
+      stream1.end(2);
+      stream2.end(2);
+      await promise;
+    });
+
+    it('rejects with reason rejected by incremental', async () => {
+      const errTest = new Error('test');
+      const stream1 = new stream.PassThrough();
+      const stream2 = new stream.PassThrough();
+      const promise = streamCompare(stream1, stream2, {
+        compare: neverCalled,
+        incremental: () => Promise.reject(errTest),
+      });
+      stream1.write('hello');
+      await assert.rejects(promise, (err) => err === errTest);
+    });
+
+    it('defers end() until pending incremental settles', async () => {
+      const calls = [];
+      const stream1 = new stream.PassThrough();
+      const stream2 = new stream.PassThrough();
+      const promise = streamCompare(stream1, stream2, {
+        compare: () => {
+          calls.push('compare');
+        },
+        incremental: async () => {
+          calls.push('incremental start');
+          await delayValue();
+          calls.push('incremental end');
+        },
+      });
+      stream1.write('hello');
+      await new Promise(setImmediate);
+      promise.end();
+      await promise;
+      assert.deepStrictEqual(
+        calls,
+        ['incremental start', 'incremental end', 'compare'],
+      );
+    });
+  });
+
   describe('objectMode', () => {
     it('errors on differing-type reads not in objectMode', () => {
       // Streams are in objectMode, streamCompare is not
@@ -884,55 +1750,188 @@ describe('streamCompare', () => {
     });
   });
 
-  describe('readPolicy', () => {
-    it('doesn\'t call read() when \'flowing\'', () => {
-      let isDone = false;
-      let isPaused = true;
+  describe('non-objectMode data', () => {
+    it('concatenates many Buffer reads', () => {
+      const chunks = [];
+      for (let i = 0; i < 2000; i += 1) {
+        chunks.push(Buffer.from(`chunk ${i},`));
+      }
+      const expected = Buffer.concat(chunks);
 
-      function incremental(state1, state2) {
-        assert.strictEqual(isPaused, false);
+      function compare(state1, state2) {
+        assert.deepStrictEqual(state1.data, expected);
+        assert.deepStrictEqual(state2.data, expected);
+        // Only the data (not any internal storage) is serialized
+        assert.strictEqual(
+          JSON.stringify(state1.data),
+          JSON.stringify(expected),
+        );
       }
 
       const stream1 = new stream.PassThrough();
       const stream2 = new stream.PassThrough();
-      const options = {
-        compare: assert.deepStrictEqual,
-        readPolicy: 'flowing',
-        incremental,
-      };
-      const promise = streamCompare(stream1, stream1, options).then(() => {
-        isDone = true;
-      });
-      stream1.pause();
-      stream1.write('hello');
-      stream2.pause();
-      stream2.write('hello');
-
-      // Delay to ensure we don't read/finish
-      setImmediate(() => {
-        assert.strictEqual(isDone, false);
-        isPaused = false;
-        stream1.resume();
-        stream2.resume();
-        stream1.end();
-        stream2.end();
-      });
-
+      const promise = streamCompare(stream1, stream2, compare);
+      for (const chunk of chunks) {
+        stream1.write(chunk);
+      }
+      stream1.end();
+      stream2.end(expected);
       return promise;
     });
 
-    it('compares the same stream as equal when \'flowing\'', () => {
+    it('does not modify previously compared Buffer data', () => {
+      const compared = [];
+      function incremental(state1, state2) {
+        if (state1.data) {
+          compared.push([state1.data, String(state1.data)]);
+        }
+      }
+
       const stream1 = new stream.PassThrough();
+      const stream2 = new stream.PassThrough();
       const options = {
-        compare: assert.deepStrictEqual,
+        compare: () => {
+          assert.strictEqual(compared.at(-1)[1], 'abc');
+          for (const [data, dataStr] of compared) {
+            assert.strictEqual(String(data), dataStr);
+          }
+        },
+        incremental,
         readPolicy: 'flowing',
       };
-      const promise = streamCompare(stream1, stream1, options);
-      stream1.end('hello');
+      const promise = streamCompare(stream1, stream2, options);
+      stream1.write('a');
+      stream1.write('b');
+      stream1.end('c');
+      stream2.end();
       return promise;
     });
 
-    it('handles empty-Buffer \'read\' events', () => {
+    it('appends Buffer reads after incremental removes data', () => {
+      const remaining = [];
+      function incremental(state1, state2) {
+        if (state1.data && state1.data.length > 1) {
+          remaining.push(String(state1.data));
+          state1.data = state1.data.slice(1);
+        }
+      }
+
+      const stream1 = new stream.PassThrough();
+      const stream2 = new stream.PassThrough();
+      const options = {
+        compare: () => {
+          assert.deepStrictEqual(remaining, ['ab', 'bc', 'cd']);
+        },
+        incremental,
+        readPolicy: 'flowing',
+      };
+      const promise = streamCompare(stream1, stream2, options);
+      stream1.write('a');
+      stream1.write('b');
+      stream1.write('c');
+      stream1.end('d');
+      stream2.end();
+      return promise;
+    });
+
+    it('concatenates many string reads', () => {
+      const chunks = [];
+      for (let i = 0; i < 2000; i += 1) {
+        chunks.push(`chunk ${i},`);
+      }
+      const expected = chunks.join('');
+
+      function compare(state1, state2) {
+        assert.strictEqual(state1.data, expected);
+        assert.strictEqual(state1.totalDataLen, expected.length);
+        assert.strictEqual(state2.data, expected);
+      }
+
+      const stream1 = new stream.PassThrough({ encoding: 'utf8' });
+      const stream2 = new stream.PassThrough({ encoding: 'utf8' });
+      const options = {
+        compare,
+        readPolicy: 'flowing',
+      };
+      const promise = streamCompare(stream1, stream2, options);
+      for (const chunk of chunks) {
+        stream1.write(chunk);
+      }
+      stream1.end();
+      stream2.end(expected);
+      return promise;
+    });
+
+    it('errors on Buffer read after string reads', () => {
+      const stream1 = new stream.PassThrough();
+      const stream2 = new stream.PassThrough();
+      const options = {
+        compare: neverCalled,
+        readPolicy: 'flowing',
+      };
+      const promise = streamCompare(stream1, stream2, options).then(
+        neverCalled,
+        (err) => {
+          assertInstanceOf(err, TypeError);
+          assert.match(err.message, /\bobjectMode\b/);
+        },
+      );
+      stream1.emit('data', 'hello');
+      stream1.emit('data', ' world');
+      stream1.emit('data', Buffer.from('!'));
+      return promise;
+    });
+  });
+
+  describe('readPolicy', () => {
+    it('doesn\'t call read() when \'flowing\'', () => {
+      let isDone = false;
+      let isPaused = true;
+
+      function incremental(state1, state2) {
+        assert.strictEqual(isPaused, false);
+      }
+
+      const stream1 = new stream.PassThrough();
+      const stream2 = new stream.PassThrough();
+      const options = {
+        compare: assert.deepStrictEqual,
+        readPolicy: 'flowing',
+        incremental,
+      };
+      const promise = streamCompare(stream1, stream1, options).then(() => {
+        isDone = true;
+      });
+      stream1.pause();
+      stream1.write('hello');
+      stream2.pause();
+      stream2.write('hello');
+
+      // Delay to ensure we don't read/finish
+      setImmediate(() => {
+        assert.strictEqual(isDone, false);
+        isPaused = false;
+        stream1.resume();
+        stream2.resume();
+        stream1.end();
+        stream2.end();
+      });
+
+      return promise;
+    });
+
+    it('compares the same stream as equal when \'flowing\'', () => {
+      const stream1 = new stream.PassThrough();
+      const options = {
+        compare: assert.deepStrictEqual,
+        readPolicy: 'flowing',
+      };
+      const promise = streamCompare(stream1, stream1, options);
+      stream1.end('hello');
+      return promise;
+    });
+
+    it('handles empty-Buffer \'read\' events', () => {
       const data1 = Buffer.from('hello world');
       const data2 = [
         Buffer.from('hello'),
@@ -942,16 +1941,16 @@ describe('streamCompare', () => {
       function compare(state1, state2) {
         assert.deepStrictEqual(state1.data, data1);
         assert.deepStrictEqual(state1.events, [
-          { name: 'data', args: [data1] },
+          { name: 'data', args: [taggedBuffer(data1)] },
         ]);
 
         // Data properly recombined by flowing reads
         assert.deepStrictEqual(state2.data, Buffer.concat(data2));
         // Events record each 'data' event, even empty ones
         assert.deepStrictEqual(state2.events, [
-          { name: 'data', args: [data2[0]] },
-          { name: 'data', args: [data2[1]] },
-          { name: 'data', args: [data2[2]] },
+          { name: 'data', args: [taggedBuffer(data2[0])] },
+          { name: 'data', args: [taggedBuffer(data2[1])] },
+          { name: 'data', args: [taggedBuffer(data2[2])] },
         ]);
       }
 
@@ -1042,26 +2041,26 @@ describe('streamCompare', () => {
         if (state1.events && state1.events.length === 3) {
           assert.deepStrictEqual(state1.events, [
             { name: 'close', args: [] },
-            { name: 'data', args: [data1] },
+            { name: 'data', args: [taggedBuffer(data1)] },
             { name: 'end', args: [] },
           ]);
         } else {
           assert.deepStrictEqual(state1.events, [
             { name: 'close', args: [] },
-            { name: 'data', args: [data1] },
+            { name: 'data', args: [taggedBuffer(data1)] },
             { name: 'end', args: [] },
             { name: 'close', args: [] },
           ]);
         }
         if (state2.events && state2.events.length === 3) {
           assert.deepStrictEqual(state2.events, [
-            { name: 'data', args: [data2] },
+            { name: 'data', args: [taggedBuffer(data2)] },
             { name: 'close', args: [] },
             { name: 'end', args: [] },
           ]);
         } else {
           assert.deepStrictEqual(state2.events, [
-            { name: 'data', args: [data2] },
+            { name: 'data', args: [taggedBuffer(data2)] },
             { name: 'close', args: [] },
             { name: 'end', args: [] },
             { name: 'close', args: [] },
@@ -1084,248 +2083,2806 @@ describe('streamCompare', () => {
       stream2.end();
       return promise;
     });
-  });
 
-  describe('.makeIncremental()', () => {
-    it('makes incremental from a Buffer comparison function', () => {
-      const data1 = [Buffer.from('hello'), Buffer.from('world')];
-      const data2 = [Buffer.from('hello'), Buffer.from('there')];
-      // Use of compareCount in this way is illustrative, but over-specified.
-      // Callers shouldn't depend on this exact behavior.
-      // If this test breaks, it may be rewritten in a less-strict way
-      let compareCount = 0;
-      const compareValue = false;
-      function compareData(incData1, incData2) {
-        assert.deepStrictEqual(incData1, data1[compareCount]);
-        assert.deepStrictEqual(incData2, data2[compareCount]);
-        compareCount += 1;
-        // null/undefined means "continue comparing future data"
-        return incData1.equals(incData2) ? null : compareValue;
+    /** Gets the (1-based) number of the stream from which each chunk was read,
+     * in the order the chunks were read.
+     *
+     * @param {...!object} states StreamStates with timeline.
+     * @returns {!Array<number>} Stream number for each chunk read.
+     */
+    function getReadOrder(...states) {
+      return states
+        .flatMap((state, i) => state.timeline
+          .filter((entry) => entry.data !== undefined)
+          .map((entry) => ({ seq: entry.seq, streamNum: i + 1 })))
+        .toSorted((entry1, entry2) => entry1.seq - entry2.seq)
+        .map((entry) => entry.streamNum);
+    }
+
+    for (const [readPolicy, readOrder] of [
+      ['least', [1, 2, 2, 1]],
+      ['lockstep', [1, 2, 1, 2]],
+    ]) {
+      it(`reads streams in order of ${readPolicy} when '${readPolicy}'`, () => {
+        function compare(state1, state2) {
+          assert.strictEqual(state1.data, 'hello world');
+          assert.strictEqual(state2.data, 'hello world');
+          assert.deepStrictEqual(getReadOrder(state1, state2), readOrder);
+        }
+
+        const stream1 = new stream.PassThrough({ encoding: 'utf8' });
+        const stream2 = new stream.PassThrough({ encoding: 'utf8' });
+        const options = {
+          compare,
+          readPolicy,
+          timeline: true,
+        };
+        const promise = streamCompare(stream1, stream2, options);
+        stream1.write('hello');
+        stream2.write('h');
+        setImmediate(() => {
+          stream1.end(' world');
+          stream2.end('ello world');
+        });
+        return promise;
+      });
+    }
+
+    it('reads values pairwise when \'lockstep\' in objectMode', () => {
+      const values1 = [];
+      const values2 = [];
+      function incremental(state1, state2) {
+        const data1 = state1.data || [];
+        const data2 = state2.data || [];
+        assert(Math.abs(data1.length - data2.length) <= 1);
+        const minLen = Math.min(data1.length, data2.length);
+        values1.push(...data1.splice(0, minLen));
+        values2.push(...data2.splice(0, minLen));
       }
+
       function compare(state1, state2) {
-        throw new Error('compare shouldn\'t be called');
+        incremental(state1, state2);
+        assert.deepStrictEqual(values1, [1, 2, 3]);
+        assert.deepStrictEqual(values2, [1, 2, 3]);
       }
 
-      // Note:  objectMode to prevent write-combining
       const stream1 = new stream.PassThrough({ objectMode: true });
       const stream2 = new stream.PassThrough({ objectMode: true });
       const options = {
         compare,
-        incremental: streamCompare.makeIncremental(compareData),
+        incremental,
+        objectMode: true,
+        readPolicy: 'lockstep',
       };
-      const promise = streamCompare(stream1, stream2, options)
-        .then((value) => {
-          assert.strictEqual(value, compareValue);
-        });
-
-      stream1.write(data1[0]);
-      stream2.write(data2[0]);
-      stream1.end(data1[1]);
-      stream2.end(data2[1]);
-
+      const promise = streamCompare(stream1, stream2, options);
+      stream1.write(1);
+      stream1.write(2);
+      stream1.end(3);
+      setImmediate(() => {
+        stream2.write(1);
+        stream2.write(2);
+        stream2.end(3);
+      });
       return promise;
     });
 
-    it('makes incremental from an event comparison function', () => {
-      const compareValue = false;
-      function compareEvents(incEvents1, incEvents2) {
-        assertInstanceOf(incEvents1, Array);
-        assertInstanceOf(incEvents2, Array);
-
-        try {
-          assert.assert.deepStrictEqual(incEvents1, incEvents2);
-          // null/undefined means "continue comparing future data"
-          return null;
-        } catch {
-          return compareValue;
-        }
-      }
+    it('reads remaining streams after one ends when \'lockstep\'', () => {
       function compare(state1, state2) {
-        throw new Error('compare shouldn\'t be called');
+        assert.strictEqual(state1.data, 'hello');
+        assert.strictEqual(state2.data, 'hello world');
       }
 
-      const stream1 = new stream.PassThrough();
-      const stream2 = new stream.PassThrough();
+      const stream1 = new stream.PassThrough({ encoding: 'utf8' });
+      const stream2 = new stream.PassThrough({ encoding: 'utf8' });
       const options = {
         compare,
-        incremental: streamCompare.makeIncremental(null, compareEvents),
+        readPolicy: 'lockstep',
       };
-      const promise = streamCompare(stream1, stream2, options)
-        .then((value) => {
-          assert.strictEqual(value, compareValue);
-        });
-
-      stream1.emit('close');
-      stream1.end();
-      stream2.end();
-
+      const promise = streamCompare(stream1, stream2, options);
+      stream1.end('hello');
+      stream2.write('hello');
+      setImmediate(() => {
+        stream2.write(' wor');
+        setImmediate(() => stream2.end('ld'));
+      });
       return promise;
     });
+  });
 
-    it('removes inconclusive data before compare', () => {
-      function compare(state1, state2) {
-        assert.strictEqual(state1.data.length, 0);
-        assert.strictEqual(state2.data.length, 0);
-      }
-
-      // Note:  objectMode to prevent write-combining
-      const stream1 = new stream.PassThrough({ objectMode: true });
-      const stream2 = new stream.PassThrough({ objectMode: true });
+  describe('maxLead', () => {
+    it('pauses stream more than maxLead ahead when \'flowing\'', () => {
+      const stream1 = new stream.PassThrough();
+      const stream2 = new stream.PassThrough();
       const options = {
-        compare,
-        incremental: streamCompare.makeIncremental(assert.deepStrictEqual),
+        compare: assert.deepStrictEqual,
+        maxLead: 5,
+        readPolicy: 'flowing',
       };
       const promise = streamCompare(stream1, stream2, options);
       stream1.write('hello');
-      stream1.end(' world');
-      stream2.write('hello');
-      stream2.end(' world');
-      return promise;
+      setImmediate(() => {
+        // Within maxLead
+        assert.strictEqual(stream1.isPaused(), false);
+        stream1.write(' world');
+        setImmediate(() => {
+          assert.strictEqual(stream1.isPaused(), true);
+          stream2.write('hello world');
+          setImmediate(() => {
+            assert.strictEqual(stream1.isPaused(), false);
+            stream1.end();
+            stream2.end();
+          });
+        });
+      });
+      return promise.then(() => {
+        assert.strictEqual(stream1.isPaused(), false);
+        assert.strictEqual(stream2.isPaused(), false);
+      });
     });
 
-    // This test is primarily for testing empty string state handling internals
-    it('removes inconclusive string data before compare', () => {
+    it('resumes stream ahead when other streams end', () => {
       function compare(state1, state2) {
-        assert.strictEqual(state1.data.length, 0);
-        assert.strictEqual(state2.data.length, 0);
+        assert.deepStrictEqual(state1.data, Buffer.from('hello world'));
+        assert.strictEqual(state2.data, undefined);
       }
 
-      const streamOptions = {
-        encoding: 'utf8',
-        // Note:  objectMode to prevent write-combining
-        objectMode: true,
-      };
-      const stream1 = new stream.PassThrough(streamOptions);
-      const stream2 = new stream.PassThrough(streamOptions);
+      const stream1 = new stream.PassThrough();
+      const stream2 = new stream.PassThrough();
       const options = {
         compare,
-        incremental: streamCompare.makeIncremental(assert.deepStrictEqual),
+        maxLead: 1,
+        readPolicy: 'flowing',
       };
       const promise = streamCompare(stream1, stream2, options);
       stream1.write('hello');
-      stream1.end(' world');
-      stream2.write('hello');
-      stream2.end(' world');
+      setImmediate(() => {
+        assert.strictEqual(stream1.isPaused(), true);
+        stream1.end(' world');
+        stream2.end();
+      });
       return promise;
     });
 
-    it('removes inconclusive events before compare', () => {
-      function compare(state1, state2) {
-        assert.strictEqual(state1.events.length, 0);
-        assert.strictEqual(state2.events.length, 0);
-      }
-
+    it('resumes stream ahead when comparison finishes', () => {
       const stream1 = new stream.PassThrough();
       const stream2 = new stream.PassThrough();
       const options = {
-        compare,
-        incremental: streamCompare.makeIncremental(
-          assert.deepStrictEqual,
-          assert.deepStrictEqual,
-        ),
+        incremental: () => (stream1.isPaused() ? 'paused' : undefined),
+        maxLead: 1,
+        readPolicy: 'flowing',
       };
       const promise = streamCompare(stream1, stream2, options);
-      stream1.emit('close');
-      stream1.end();
-      stream2.emit('close');
-      stream2.end();
-      return promise;
+      stream1.write('hello');
+      setImmediate(() => {
+        assert.strictEqual(stream1.isPaused(), true);
+        promise.end();
+      });
+      return promise.then((result) => {
+        assert.strictEqual(result, 'paused');
+        assert.strictEqual(stream1.isPaused(), false);
+      });
     });
+  });
 
-    it('doesn\'t return early due to incompleteness', () => {
-      // Note:  objectMode to prevent write-combining
+  describe('maxRetained', () => {
+    it('rejects with RetainedLimitError when data exceeds it', () => {
+      const stream1 = new stream.PassThrough();
+      const stream2 = new stream.PassThrough();
+      const options = {
+        compare: neverCalled,
+        maxRetained: 8,
+      };
+      const promise = streamCompare(stream1, stream2, options).then(
+        neverCalled,
+        (err) => {
+          assertInstanceOf(err, streamCompare.RetainedLimitError);
+          assert.match(err.message, /\bstream1 exceeds maxRetained \(8\)/);
+          assert.match(err.message, /^stream1: data 11, events 0$/m);
+          assert.match(err.message, /^stream2: data 0, events 0$/m);
+          assert.match(err.message, /incremental is not set/);
+          assert.strictEqual(err.hasIncremental, false);
+          assert.deepStrictEqual(err.streams, [
+            { name: 'stream1', dataLen: 11, eventsLen: 0 },
+            { name: 'stream2', dataLen: 0, eventsLen: 0 },
+          ]);
+        },
+      );
+      stream1.end('hello world');
+      return promise;
+    });
+
+    it('counts values in objectMode', () => {
       const stream1 = new stream.PassThrough({ objectMode: true });
       const stream2 = new stream.PassThrough({ objectMode: true });
       const options = {
-        incremental: streamCompare.makeIncremental(assert.deepStrictEqual),
+        compare: neverCalled,
+        maxRetained: 2,
+        objectMode: true,
+        readPolicy: 'flowing',
       };
-      let isDone = false;
-      const promise = streamCompare(stream1, stream2, options).then(() => {
-        isDone = true;
-      });
-      stream1.write('he');
-      stream2.write('hel');
-      stream1.end('llo');
-      stream2.write('l');
+      const promise = streamCompare(stream1, stream2, options).then(
+        neverCalled,
+        (err) => {
+          assertInstanceOf(err, streamCompare.RetainedLimitError);
+          assert.deepStrictEqual(err.streams[1].dataLen, 3);
+        },
+      );
+      stream1.write('hello world');
+      stream2.write(1);
+      stream2.write(2);
+      stream2.write(3);
+      return promise;
+    });
 
+    it('counts events', () => {
+      const stream1 = new stream.PassThrough();
+      const stream2 = new stream.PassThrough();
+      const options = {
+        compare: neverCalled,
+        events: ['custom'],
+        maxRetained: 2,
+        readPolicy: 'none',
+      };
+      const promise = streamCompare(stream1, stream2, options).then(
+        neverCalled,
+        (err) => {
+          assertInstanceOf(err, streamCompare.RetainedLimitError);
+          assert.deepStrictEqual(err.streams, [
+            { name: 'stream1', dataLen: 0, eventsLen: 3 },
+            { name: 'stream2', dataLen: 0, eventsLen: 1 },
+          ]);
+        },
+      );
+      stream2.emit('custom');
+      stream1.emit('custom');
+      stream1.emit('custom');
+      stream1.emit('custom');
+      return promise;
+    });
+
+    it('counts state after incremental comparison', () => {
+      const stream1 = new stream.PassThrough();
+      const stream2 = new stream.PassThrough();
+      const options = {
+        incremental: streamCompare.makeIncremental(
+          streamCompare.makeCompareData(),
+          assert.deepStrictEqual,
+        ),
+        maxRetained: 6,
+      };
+      const promise = streamCompare(stream1, stream2, options);
+      stream1.write('hello');
+      stream2.write('hello');
       setImmediate(() => {
-        assert.strictEqual(isDone, false);
-        stream2.end('o');
+        stream1.end(' world');
+        stream2.end(' world');
       });
-
       return promise;
     });
 
-    it('returns early if streams differ before ending', () => {
+    it('reports whether incremental was set', () => {
       const stream1 = new stream.PassThrough();
       const stream2 = new stream.PassThrough();
       const options = {
-        incremental: streamCompare.makeIncremental(assert.deepStrictEqual),
+        incremental: () => undefined,
+        maxRetained: 4,
       };
       const promise = streamCompare(stream1, stream2, options).then(
         neverCalled,
-        (err) => { assertInstanceOf(err, assert.AssertionError); },
+        (err) => {
+          assertInstanceOf(err, streamCompare.RetainedLimitError);
+          assert.strictEqual(err.hasIncremental, true);
+          assert.match(err.message, /did not remove enough/);
+        },
       );
       stream1.write('hello');
-      stream2.write('hella');
       return promise;
     });
+  });
 
-    it('returns early if stream ends early', () => {
+  describe('signal', () => {
+    it('rejects with abort reason without comparing', () => {
+      const abortReason = new Error('test');
+      const abortController = new AbortController();
       const stream1 = new stream.PassThrough();
       const stream2 = new stream.PassThrough();
       const options = {
-        incremental: streamCompare.makeIncremental(assert.deepStrictEqual),
+        compare: neverCalled,
+        incremental: neverCalled,
+        signal: abortController.signal,
       };
       const promise = streamCompare(stream1, stream2, options).then(
         neverCalled,
-        (err) => { assertInstanceOf(err, assert.AssertionError); },
+        (err) => { assert.strictEqual(err, abortReason); },
       );
-      // stream1 writes more data than stream2 but doesn't end
-      stream1.write('hello');
-      stream2.end('hell');
+      abortController.abort(abortReason);
+      stream1.end('hello');
+      stream2.end('hello');
       return promise;
     });
 
-    it('returns early if stream ends empty', () => {
+    it('rejects immediately if already aborted', () => {
+      const abortReason = new Error('test');
       const stream1 = new stream.PassThrough();
       const stream2 = new stream.PassThrough();
       const options = {
-        incremental: streamCompare.makeIncremental(assert.deepStrictEqual),
+        compare: neverCalled,
+        signal: AbortSignal.abort(abortReason),
+      };
+      return streamCompare(stream1, stream2, options).then(
+        neverCalled,
+        (err) => { assert.strictEqual(err, abortReason); },
+      );
+    });
+
+    for (const readPolicy of ['flowing', 'least', 'none']) {
+      it(`removes all stream listeners for '${readPolicy}'`, () => {
+        const abortController = new AbortController();
+        const stream1 = new stream.PassThrough();
+        const stream2 = new stream.PassThrough();
+        const eventNames = ['close', 'data', 'end', 'error', 'readable'];
+        const listenerCounts1 =
+          eventNames.map((eventName) => stream1.listenerCount(eventName));
+        const listenerCounts2 =
+          eventNames.map((eventName) => stream2.listenerCount(eventName));
+        const options = {
+          compare: neverCalled,
+          readPolicy,
+          signal: abortController.signal,
+        };
+        const promise = streamCompare(stream1, stream2, options).then(
+          neverCalled,
+          (err) => {
+            assert.strictEqual(err.name, 'AbortError');
+            assert.deepStrictEqual(
+              eventNames.map((eventName) => stream1.listenerCount(eventName)),
+              listenerCounts1,
+            );
+            assert.deepStrictEqual(
+              eventNames.map((eventName) => stream2.listenerCount(eventName)),
+              listenerCounts2,
+            );
+          },
+        );
+        setImmediate(() => abortController.abort());
+        return promise;
+      });
+    }
+
+    it('does not destroy streams by default', () => {
+      const abortController = new AbortController();
+      const stream1 = new stream.PassThrough();
+      const stream2 = new stream.PassThrough();
+      const options = {
+        compare: neverCalled,
+        signal: abortController.signal,
       };
       const promise = streamCompare(stream1, stream2, options).then(
         neverCalled,
-        (err) => { assertInstanceOf(err, assert.AssertionError); },
+        () => {
+          assert.strictEqual(stream1.destroyed, false);
+          assert.strictEqual(stream2.destroyed, false);
+        },
+      );
+      abortController.abort();
+      return promise;
+    });
+
+    it('destroys streams on abort if destroyOnAbort', () => {
+      const abortController = new AbortController();
+      const stream1 = new stream.PassThrough();
+      const stream2 = new stream.PassThrough();
+      const options = {
+        compare: neverCalled,
+        destroyOnAbort: true,
+        signal: abortController.signal,
+      };
+      const promise = streamCompare(stream1, stream2, options).then(
+        neverCalled,
+        () => {
+          assert.strictEqual(stream1.destroyed, true);
+          assert.strictEqual(stream2.destroyed, true);
+        },
+      );
+      abortController.abort();
+      return promise;
+    });
+
+    it('is not affected by abort after settling', () => {
+      const abortController = new AbortController();
+      const stream1 = new stream.PassThrough();
+      const stream2 = new stream.PassThrough();
+      const options = {
+        compare: assert.deepStrictEqual,
+        destroyOnAbort: true,
+        signal: abortController.signal,
+      };
+      const comparison = streamCompare(stream1, stream2, options);
+      comparison.end();
+      return comparison.then(() => {
+        abortController.abort();
+        assert.strictEqual(stream1.destroyed, false);
+        assert.strictEqual(stream2.destroyed, false);
+      });
+    });
+  });
+
+  describe('stallTimeout', () => {
+    it('rejects with TimeoutError if no progress is made', () => {
+      const stream1 = new stream.PassThrough();
+      const stream2 = new stream.PassThrough();
+      const options = {
+        compare: neverCalled,
+        stallTimeout: 10,
+      };
+      const promise = streamCompare(stream1, stream2, options).then(
+        neverCalled,
+        (err) => {
+          assertInstanceOf(err, streamCompare.TimeoutError);
+          assert.match(err.message, /\b10ms\b/);
+          assert.deepStrictEqual(err.streams, [
+            {
+              name: 'stream1',
+              ended: false,
+              expectEvents: true,
+              lastEvent: undefined,
+              totalDataLen: 5,
+              waitingForReadable: false,
+            },
+            {
+              name: 'stream2',
+              ended: false,
+              expectEvents: true,
+              lastEvent: undefined,
+              totalDataLen: 0,
+              waitingForReadable: true,
+            },
+          ]);
+        },
       );
-      // stream1 writes more data than stream2 but doesn't end
       stream1.write('hello');
+      return promise;
+    });
+
+    it('does not reject while streams make progress', () => {
+      const stream1 = new stream.PassThrough();
+      const stream2 = new stream.PassThrough();
+      const options = {
+        compare: assert.deepStrictEqual,
+        stallTimeout: 50,
+      };
+      const promise = streamCompare(stream1, stream2, options);
+      let writeCount = 0;
+      const interval = setInterval(() => {
+        writeCount += 1;
+        if (writeCount < 5) {
+          stream1.write('a');
+          stream2.write('a');
+        } else {
+          clearInterval(interval);
+          stream1.end();
+          stream2.end();
+        }
+      }, 20);
+      return promise;
+    });
+
+    it('does not reject while an async incremental is pending', () => {
+      const stream1 = stream.Readable.from(['ab', 'cd']);
+      const stream2 = stream.Readable.from(['ab', 'cd']);
+      const options = {
+        compare: assert.deepStrictEqual,
+        incremental: () => new Promise((resolve) => {
+          setTimeout(resolve, 60);
+        }),
+        stallTimeout: 30,
+      };
+      return streamCompare(stream1, stream2, options);
+    });
+
+    it('rejects for no progress after an async compare settles', () => {
+      const stream1 = new stream.PassThrough();
+      const stream2 = new stream.PassThrough();
+      let isFirst = true;
+      const options = {
+        compare: neverCalled,
+        incremental: () => {
+          if (isFirst) {
+            isFirst = false;
+            return new Promise((resolve) => { setTimeout(resolve, 60); });
+          }
+          return undefined;
+        },
+        stallTimeout: 30,
+      };
+      const promise = streamCompare(stream1, stream2, options).then(
+        neverCalled,
+        (err) => assertInstanceOf(err, streamCompare.TimeoutError),
+      );
+      stream1.write('a');
+      return promise;
+    });
+  });
+
+  describe('timeline', () => {
+    it('is not recorded by default', () => {
+      const stream1 = new stream.PassThrough();
+      const stream2 = new stream.PassThrough();
+      const promise = streamCompare(stream1, stream2, (state1, state2) => {
+        assert(!Object.hasOwn(state1, 'timeline'));
+        assert(!Object.hasOwn(state2, 'timeline'));
+      });
+      stream1.end();
       stream2.end();
       return promise;
     });
 
-    // Note:  Avoids throwing from compare since 'error' gets thrown and caught
-    // outside of the constructor.
-    it('compares buffered different-data streams as not equal', () => {
-      const incrementalVal = false;
+    it('records data and events in order with shared seq', async () => {
+      const stream1 = new stream.PassThrough({ encoding: 'utf8' });
+      const stream2 = new stream.PassThrough({ encoding: 'utf8' });
+      const promise = streamCompare(stream1, stream2, {
+        compare: (state1, state2) => [state1.timeline, state2.timeline],
+        events: ['end', 'test'],
+        timeline: true,
+      });
+      stream1.write('a');
+      await new Promise(setImmediate);
+      stream2.emit('test', 1);
+      stream2.write('b');
+      await new Promise(setImmediate);
+      stream1.end();
+      stream2.end();
+
+      const [timeline1, timeline2] = await promise;
+      const strip = ({ seq, time, ...entry }) => entry;
+      assert.deepStrictEqual(timeline1.map(strip), [
+        { data: 'a' },
+        { name: 'end', args: [] },
+      ]);
+      assert.deepStrictEqual(timeline2.map(strip), [
+        { name: 'test', args: [1] },
+        { data: 'b' },
+        { name: 'end', args: [] },
+      ]);
+
+      const entries = [...timeline1, ...timeline2]
+        .toSorted((entry1, entry2) => entry1.seq - entry2.seq);
+      assert.deepStrictEqual(
+        entries.map((entry) => entry.seq),
+        [0, 1, 2, 3, 4],
+      );
+      assert.strictEqual(entries[0].data, 'a');
+      assert.strictEqual(entries[1].name, 'test');
+      assert.strictEqual(entries[2].data, 'b');
+      for (let i = 1; i < entries.length; i += 1) {
+        assert(entries[i].time >= entries[i - 1].time);
+      }
+    });
+
+    it('allows comparing timing between streams', async () => {
+      const stream1 = new stream.PassThrough();
+      const stream2 = new stream.PassThrough();
+      const promise = streamCompare(stream1, stream2, {
+        compare: (state1, state2) => {
+          const endTimes = [state1, state2].map((state) => state.timeline
+            .find((entry) => entry.name === 'end').time);
+          assert(Math.abs(endTimes[0] - endTimes[1]) >= 20);
+        },
+        timeline: true,
+      });
+      stream1.end();
+      await new Promise((resolve) => {
+        setTimeout(resolve, 25);
+      });
+      stream2.end();
+      await promise;
+    });
+  });
+
+  describe('timeout', () => {
+    it('rejects with TimeoutError describing unfinished streams', () => {
+      const stream1 = new stream.PassThrough();
+      const stream2 = new stream.PassThrough();
+      const options = {
+        compare: neverCalled,
+        timeout: 10,
+      };
+      const promise = streamCompare(stream1, stream2, options).then(
+        neverCalled,
+        (err) => {
+          assertInstanceOf(err, streamCompare.TimeoutError);
+          assert.match(err.message, /\b10ms\b/);
+          assert.match(err.message, /^stream2: not ended, expecting events/m);
+          assert.deepStrictEqual(err.streams[0].expectEvents, false);
+          assert.deepStrictEqual(err.streams[0].totalDataLen, 5);
+          assert.deepStrictEqual(err.streams[0].lastEvent, 'close');
+          assert.deepStrictEqual(err.streams[1].expectEvents, true);
+          assert.deepStrictEqual(err.streams[1].waitingForReadable, true);
+        },
+      );
+      stream1.end('hello');
+      return promise;
+    });
+
+    it('does not reject comparisons which finish in time', () => {
       const stream1 = new stream.PassThrough();
       const stream2 = new stream.PassThrough();
+      const options = {
+        compare: assert.deepStrictEqual,
+        timeout: 1000,
+      };
+      const promise = streamCompare(stream1, stream2, options);
       stream1.end('hello');
-      stream2.end('world');
-      return new Promise((resolve, reject) => {
-        setImmediate(resolve);
-      }).then(() => {
-        const options = {
-          compare: function compare(state1, state2) {
-            throw new Error('compare shouldn\'t be called');
-          },
-          incremental: function incremental(state1, state2) {
-            return incrementalVal;
-          },
-        };
-        return streamCompare(stream1, stream2, options);
-      }).then((result) => {
-        assert.strictEqual(result, incrementalVal);
+      stream2.end('hello');
+      return promise;
+    });
+
+    it('throws RangeError for negative timeout', () => {
+      const stream1 = new stream.PassThrough();
+      const stream2 = new stream.PassThrough();
+      const options = {
+        compare: assert.deepStrictEqual,
+        timeout: -1,
+      };
+      assert.throws(
+        () => streamCompare(stream1, stream2, options),
+        (err) => err instanceof RangeError
+          && /\boptions\.timeout\b/.test(err.message),
+      );
+    });
+  });
+
+  describe('ReadableStream', () => {
+    function makeReadableStream(chunks, err) {
+      return new ReadableStream({
+        start(controller) {
+          for (const chunk of chunks) {
+            controller.enqueue(chunk);
+          }
+          if (err) {
+            controller.error(err);
+          } else {
+            controller.close();
+          }
+        },
       });
+    }
+
+    it('compares ReadableStream with same-data Readable as equal', () => {
+      const stream1 = new stream.PassThrough();
+      const stream2 = makeReadableStream([
+        new TextEncoder().encode('hel'),
+        new TextEncoder().encode('lo'),
+      ]);
+      const promise = streamCompare(stream1, stream2, assert.deepStrictEqual);
+      stream1.end('hello');
+      return promise;
+    });
+
+    it('compares different-data ReadableStreams as not equal', () => {
+      const stream1 = makeReadableStream([new TextEncoder().encode('hello')]);
+      const stream2 = makeReadableStream([new TextEncoder().encode('world')]);
+      return streamCompare(stream1, stream2, assert.deepStrictEqual).then(
+        neverCalled,
+        (err) => { assertInstanceOf(err, assert.AssertionError); },
+      );
+    });
+
+    it('records ReadableStream errors as \'error\' events', () => {
+      const errTest = new Error('test');
+      const stream1 = makeReadableStream([], errTest);
+      const stream2 = makeReadableStream([]);
+      function compare(state1, state2) {
+        assert.deepStrictEqual(state1.events, [
+          { name: 'error', args: [{ name: 'Error', message: 'test' }] },
+          { name: 'close', args: [] },
+        ]);
+        assert.deepStrictEqual(state2.events, [
+          { name: 'end', args: [] },
+          { name: 'close', args: [] },
+        ]);
+      }
+      return streamCompare(stream1, stream2, compare);
+    });
+
+    it('supports ReadableStream object reads in objectMode', () => {
+      const stream1 = new stream.PassThrough({ objectMode: true });
+      const stream2 = makeReadableStream([{ test: true }]);
+      const options = {
+        compare: assert.deepStrictEqual,
+        objectMode: true,
+      };
+      const promise = streamCompare(stream1, stream2, options);
+      stream1.end({ test: true });
+      return promise;
+    });
+
+    for (const readPolicy of ['flowing', 'none']) {
+      it(`reads ReadableStream for readPolicy '${readPolicy}'`, () => {
+        const stream1 = makeReadableStream([new TextEncoder().encode('hi')]);
+        const stream2 = makeReadableStream([new TextEncoder().encode('hi')]);
+        const options = {
+          compare: (state1, state2) => {
+            assert.strictEqual(state1.ended, true);
+            assert.strictEqual(state2.ended, true);
+          },
+          readPolicy,
+          timeout: 1000,
+        };
+        return streamCompare(stream1, stream2, options);
+      });
+    }
+  });
+
+  describe('async iterable', () => {
+    it('compares async generator with same-data Readable as equal', () => {
+      async function* generate() {
+        yield Buffer.from('hel');
+        yield Buffer.from('lo');
+      }
+
+      const stream1 = new stream.PassThrough();
+      const promise =
+        streamCompare(stream1, generate(), assert.deepStrictEqual);
+      stream1.end('hello');
+      return promise;
+    });
+
+    it('records completion and thrown errors as events', () => {
+      const errTest = new Error('test');
+      async function* generate(err) {
+        yield { test: true };
+        if (err) {
+          throw err;
+        }
+      }
+
+      function compare(state1, state2) {
+        assert.deepStrictEqual(state1.data, [{ test: true }]);
+        assert.deepStrictEqual(state1.events, [
+          { name: 'end', args: [] },
+          { name: 'close', args: [] },
+        ]);
+        assert.deepStrictEqual(state2.data, [{ test: true }]);
+        assert.deepStrictEqual(state2.events, [
+          { name: 'error', args: [{ name: 'Error', message: 'test' }] },
+          { name: 'close', args: [] },
+        ]);
+      }
+
+      const options = {
+        compare,
+        objectMode: true,
+      };
+      return streamCompare(generate(), generate(errTest), options);
+    });
+
+    it('advances the iterator with least output for \'least\'', () => {
+      const yields = [];
+      async function* generate(name, values) {
+        for (const value of values) {
+          yields.push(name);
+          yield value;
+        }
+      }
+
+      const options = {
+        compare: assert.deepStrictEqual,
+        objectMode: true,
+      };
+      return streamCompare(
+        generate('gen1', [1, 2, 3]),
+        generate('gen2', [1, 2, 3]),
+        options,
+      ).then(() => {
+        assert.deepStrictEqual(yields, [
+          'gen1',
+          'gen2',
+          'gen1',
+          'gen2',
+          'gen1',
+          'gen2',
+        ]);
+      });
+    });
+
+    for (const readPolicy of ['flowing', 'none']) {
+      it(`reads async iterable for readPolicy '${readPolicy}'`, () => {
+        async function* generate() {
+          yield { test: true };
+        }
+
+        const options = {
+          compare: (state1, state2) => {
+            assert.strictEqual(state1.ended, true);
+            assert.strictEqual(state2.ended, true);
+            if (readPolicy === 'flowing') {
+              assert.deepStrictEqual(state1.data, [{ test: true }]);
+              assert.deepStrictEqual(state2.data, [{ test: true }]);
+            }
+          },
+          objectMode: true,
+          readPolicy,
+          timeout: 1000,
+        };
+        return streamCompare(generate(), generate(), options);
+      });
+    }
+  });
+
+  describe('.all()', () => {
+    it('passes an Array of stream states to compare', () => {
+      const data = ['hello', 'there', 'world'];
+      function compare(states) {
+        assert(Array.isArray(states));
+        assert.deepStrictEqual(
+          states.map((state) => state.data),
+          data.map((str) => Buffer.from(str)),
+        );
+        for (const state of states) {
+          assert.strictEqual(state.ended, true);
+        }
+      }
+
+      const streams = data.map(() => new stream.PassThrough());
+      const promise = streamCompare.all(streams, compare);
+      for (const [i, str] of data.entries()) {
+        streams[i].end(str);
+      }
+
+      return promise;
+    });
+
+    it('compares all streams before resolving', () => {
+      const streams = [
+        new stream.PassThrough(),
+        new stream.PassThrough(),
+        new stream.PassThrough(),
+      ];
+      const promise = streamCompare.all(streams, (states) => {
+        for (const state of states.slice(1)) {
+          assert.deepStrictEqual(state.data, states[0].data);
+        }
+      }).then(
+        neverCalled,
+        (err) => { assertInstanceOf(err, assert.AssertionError); },
+      );
+      streams[0].end('hello');
+      streams[1].end('hello');
+      streams[2].end('world');
+      return promise;
+    });
+
+    it('reads from the stream with least output', () => {
+      const streams = [
+        new stream.PassThrough(),
+        new stream.PassThrough(),
+        new stream.PassThrough(),
+      ];
+      const reads = [];
+      for (const [i, s] of streams.entries()) {
+        const { read } = s;
+        s.read = function readSpy(...args) {
+          // Ignore read(0) calls made internally by Readable
+          if (args.length === 0) {
+            reads.push(i);
+          }
+          return read.apply(this, args);
+        };
+      }
+      streams[0].write('hello');
+      streams[1].write('hi');
+      streams[2].write('hey');
+
+      const promise = streamCompare.all(streams, () => {});
+      return new Promise((resolve) => { setImmediate(resolve); })
+        .then(() => {
+          // stream2 has the least output and no data left to read
+          assert.deepStrictEqual(reads, [0, 1, 2, 1]);
+          for (const s of streams) {
+            s.end();
+          }
+          return promise;
+        });
+    });
+
+    it('throws for non-Array-like streams', () => {
+      assert.throws(
+        () => { streamCompare.all(true, assert.deepStrictEqual); },
+        (err) => err instanceof TypeError
+          && /\bstreams\b/.test(err.message),
+      );
+    });
+
+    it('throws for fewer than 2 streams', () => {
+      assert.throws(
+        () => {
+          streamCompare.all([new stream.PassThrough()], assert.deepStrictEqual);
+        },
+        (err) => err instanceof RangeError
+          && /\bstreams\b/.test(err.message),
+      );
+    });
+
+    it('throws for invalid stream3', () => {
+      assert.throws(
+        () => {
+          streamCompare.all(
+            [new stream.PassThrough(), new stream.PassThrough(), true],
+            assert.deepStrictEqual,
+          );
+        },
+        (err) => err instanceof TypeError
+          && /\bstream3\b/.test(err.message),
+      );
+    });
+  });
+
+  describe('.equal()', () => {
+    it('resolves true for equal data in different chunks', () => {
+      const stream1 = new stream.PassThrough();
+      const stream2 = new stream.PassThrough();
+      const promise = streamCompare.equal(stream1, stream2)
+        .then((isEqual) => {
+          assert.strictEqual(isEqual, true);
+        });
+      stream1.write('hel');
+      stream1.end('lo');
+      stream2.write('h');
+      stream2.end('ello');
+      return promise;
+    });
+
+    it('resolves true for empty streams', () => {
+      const stream1 = new stream.PassThrough();
+      const stream2 = new stream.PassThrough();
+      const promise = streamCompare.equal(stream1, stream2)
+        .then((isEqual) => {
+          assert.strictEqual(isEqual, true);
+        });
+      stream1.end();
+      stream2.end();
+      return promise;
+    });
+
+    it('resolves false on differing chunk without reading further', () => {
+      const stream1 = new stream.PassThrough();
+      const stream2 = new stream.PassThrough();
+      const promise = streamCompare.equal(stream1, stream2)
+        .then((isEqual) => {
+          assert.strictEqual(isEqual, false);
+          // Streams have not ended, and later data was not read
+          stream1.write('more');
+          assert.strictEqual(stream1.read().toString(), 'more');
+        });
+      stream1.write('hello');
+      stream2.write('hallo');
+      return promise;
+    });
+
+    it('resolves false if one stream is a prefix of the other', () => {
+      const stream1 = new stream.PassThrough();
+      const stream2 = new stream.PassThrough();
+      const promise = streamCompare.equal(stream1, stream2)
+        .then((isEqual) => {
+          assert.strictEqual(isEqual, false);
+        });
+      stream1.end('hello');
+      stream2.write('hello world');
+      return promise;
+    });
+
+    it('removes compared data', () => {
+      const options = { maxRetained: 1, objectMode: true };
+      const stream1 = new stream.PassThrough(options);
+      const stream2 = new stream.PassThrough(options);
+      const promise = streamCompare.equal(stream1, stream2, options)
+        .then((isEqual) => {
+          assert.strictEqual(isEqual, true);
+        });
+      for (let i = 0; i < 5; i += 1) {
+        stream1.write({ i });
+        stream2.write({ i });
+      }
+      stream1.end();
+      stream2.end();
+      return promise;
+    });
+
+    it('compares strings with strings', () => {
+      const stream1 = new stream.PassThrough({ encoding: 'utf8' });
+      const stream2 = new stream.PassThrough({ encoding: 'utf8' });
+      const promise = streamCompare.equal(stream1, stream2)
+        .then((isEqual) => {
+          assert.strictEqual(isEqual, false);
+        });
+      stream1.end('hello');
+      stream2.end('help');
+      return promise;
+    });
+
+    it('compares strings with Buffers', () => {
+      const stream1 = new stream.PassThrough({ encoding: 'utf8' });
+      const stream2 = new stream.PassThrough();
+      const promise = streamCompare.equal(stream1, stream2)
+        .then((isEqual) => {
+          assert.strictEqual(isEqual, true);
+        });
+      stream1.end('h\u{E9}llo');
+      stream2.end('h\u{E9}llo');
+      return promise;
+    });
+
+    it('compares objectMode values structurally', () => {
+      const options = { objectMode: true };
+      const stream1 = new stream.PassThrough(options);
+      const stream2 = new stream.PassThrough(options);
+      const promise = streamCompare.equal(stream1, stream2, options)
+        .then((isEqual) => {
+          assert.strictEqual(isEqual, false);
+        });
+      stream1.write({ a: 1 });
+      stream1.write({ b: 2 });
+      stream2.write({ a: 1 });
+      stream2.write({ b: 3 });
+      return promise;
+    });
+
+    it('resolves false if a stream is destroyed before it ends', () => {
+      const stream1 = new stream.PassThrough();
+      const stream2 = new stream.PassThrough();
+      const promise = streamCompare.equal(stream1, stream2)
+        .then((isEqual) => {
+          assert.strictEqual(isEqual, false);
+        });
+      stream1.write('abc');
+      stream2.end('abc');
+      stream1.destroy();
+      return promise;
+    });
+
+    it('resolves false if both streams are destroyed before ending', () => {
+      const stream1 = new stream.PassThrough();
+      const stream2 = new stream.PassThrough();
+      const promise = streamCompare.equal(stream1, stream2)
+        .then((isEqual) => {
+          assert.strictEqual(isEqual, false);
+        });
+      stream1.destroy();
+      stream2.destroy();
+      return promise;
+    });
+
+    it('ignores events', () => {
+      const stream1 = new stream.PassThrough();
+      const stream2 = new stream.PassThrough();
+      const promise = streamCompare.equal(stream1, stream2)
+        .then((isEqual) => {
+          assert.strictEqual(isEqual, true);
+        });
+      stream1.emit('pipe', new stream.PassThrough());
+      stream1.end('hello');
+      stream2.end('hello');
+      return promise;
+    });
+
+    it('rejects on stream error', () => {
+      const stream1 = new stream.PassThrough();
+      const stream2 = new stream.PassThrough();
+      const errTest = new Error('test');
+      const promise = streamCompare.equal(stream1, stream2).then(
+        neverCalled,
+        (err) => { assert.strictEqual(err, errTest); },
+      );
+      stream1.emit('error', errTest);
+      return promise;
+    });
+
+    it('does not destroy streams by default', () => {
+      const stream1 = new stream.PassThrough();
+      const stream2 = new stream.PassThrough();
+      const promise = streamCompare.equal(stream1, stream2)
+        .then((isEqual) => {
+          assert.strictEqual(isEqual, false);
+          assert.strictEqual(stream1.destroyed, false);
+          assert.strictEqual(stream2.destroyed, false);
+        });
+      stream1.write('hello');
+      stream2.write('world');
+      return promise;
+    });
+
+    it('destroys streams which differ with destroyOnDiffer', () => {
+      const stream1 = new stream.PassThrough();
+      const stream2 = new stream.PassThrough();
+      const promise = streamCompare.equal(
+        stream1,
+        stream2,
+        { destroyOnDiffer: true },
+      )
+        .then((isEqual) => {
+          assert.strictEqual(isEqual, false);
+          // Streams are destroyed after the promise is resolved
+          return new Promise((resolve) => { setImmediate(resolve); });
+        })
+        .then(() => {
+          assert.strictEqual(stream1.destroyed, true);
+          assert.strictEqual(stream2.destroyed, true);
+        });
+      stream1.write('hello');
+      stream2.write('world');
+      return promise;
+    });
+
+    it('does not destroy equal streams with destroyOnDiffer', () => {
+      const stream1 = new stream.PassThrough();
+      const stream2 = new stream.PassThrough();
+      const promise = streamCompare.equal(
+        stream1,
+        stream2,
+        { destroyOnDiffer: true },
+      )
+        .then((isEqual) => {
+          assert.strictEqual(isEqual, true);
+          return new Promise((resolve) => { setImmediate(resolve); });
+        })
+        .then(() => {
+          assert.strictEqual(stream1.readableAborted, false);
+          assert.strictEqual(stream2.readableAborted, false);
+        });
+      stream1.end('hello');
+      stream2.end('hello');
+      return promise;
+    });
+
+    it('throws for non-object options', () => {
+      assert.throws(
+        () => {
+          streamCompare.equal(
+            new stream.PassThrough(),
+            new stream.PassThrough(),
+            true,
+          );
+        },
+        (err) => err instanceof TypeError
+          && /\boptions\b/.test(err.message),
+      );
+    });
+  });
+
+  describe('.makeCompareData()', () => {
+    it('returns undefined for equal data', () => {
+      const compareData = streamCompare.makeCompareData();
+      assert.strictEqual(compareData('hello', 'hello'), undefined);
+      assert.strictEqual(
+        compareData(Buffer.from('hello'), Buffer.from('hello')),
+        undefined,
+      );
+    });
+
+    it('throws AssertionError with offset of first Buffer difference', () => {
+      const compareData = streamCompare.makeCompareData();
+      assert.throws(
+        () => compareData(Buffer.from('hello'), Buffer.from('help!')),
+        (err) => err instanceof assert.AssertionError
+          && err.offset === 3
+          && err.line === 1
+          && err.column === 4
+          && /\boffset 3\b/.test(err.message),
+      );
+    });
+
+    it('throws AssertionError with line and column for Buffers', () => {
+      const compareData = streamCompare.makeCompareData();
+      assert.strictEqual(
+        compareData(Buffer.from('one\nt'), Buffer.from('one\nt')),
+        undefined,
+      );
+      assert.throws(
+        () => compareData(Buffer.from('wo\nthree'), Buffer.from('wo\nthere')),
+        (err) => err instanceof assert.AssertionError
+          && err.offset === 10
+          && err.line === 3
+          && err.column === 3
+          && /\bline 3, column 3\b/.test(err.message),
+      );
+    });
+
+    it('throws AssertionError with line and column for strings', () => {
+      const compareData = streamCompare.makeCompareData();
+      assert.throws(
+        () => compareData('one\ntwo\nthree', 'one\ntwo\nthere'),
+        (err) => err instanceof assert.AssertionError
+          && err.offset === 10
+          && err.line === 3
+          && err.column === 3
+          && /\bline 3, column 3\b/.test(err.message),
+      );
+    });
+
+    it('reports difference at end of shorter data', () => {
+      const compareData = streamCompare.makeCompareData();
+      assert.throws(
+        () => compareData('hello', 'hello world'),
+        (err) => err instanceof assert.AssertionError
+          && err.offset === 5
+          && /data1: 'hello' \(ends\)/.test(err.message),
+      );
+    });
+
+    it('treats undefined as empty data', () => {
+      const compareData = streamCompare.makeCompareData();
+      assert.strictEqual(compareData(undefined, ''), undefined);
+      assert.throws(
+        () => compareData(Buffer.from('a'), undefined),
+        (err) => err instanceof assert.AssertionError && err.offset === 0,
+      );
+    });
+
+    it('limits context to contextLength', () => {
+      const compareData = streamCompare.makeCompareData({ contextLength: 2 });
+      assert.throws(
+        () => compareData('abcdefgh', 'abcdXfgh'),
+        (err) => err instanceof assert.AssertionError
+          && err.actual === 'cdef'
+          && err.expected === 'cdXf',
+      );
+    });
+
+    it('reports stream position when used with makeIncremental', () => {
+      const stream1 = new stream.PassThrough({ encoding: 'utf8' });
+      const stream2 = new stream.PassThrough({ encoding: 'utf8' });
+      const options = {
+        incremental: streamCompare.makeIncremental(
+          streamCompare.makeCompareData({ contextLength: 4 }),
+        ),
+      };
+      const promise = streamCompare(stream1, stream2, options).then(
+        neverCalled,
+        (err) => {
+          assertInstanceOf(err, assert.AssertionError);
+          assert.strictEqual(err.offset, 15);
+          assert.strictEqual(err.line, 3);
+          assert.strictEqual(err.column, 3);
+          assert.strictEqual(err.actual, 'o\nthree\n');
+          assert.strictEqual(err.expected, 'o\nthXee\n');
+        },
+      );
+      stream1.write('line one\n');
+      stream2.write('line one\n');
+      setImmediate(() => {
+        stream1.write('two\n');
+        stream2.write('two\n');
+        setImmediate(() => {
+          stream1.end('three\n');
+          stream2.end('thXee\n');
+        });
+      });
+      return promise;
+    });
+  });
+
+  describe('.makeCompareValues()', () => {
+    it('returns undefined for deep-equal values', () => {
+      const compareValues = streamCompare.makeCompareValues();
+      const values = [{ a: [1, 'b', null] }, 2, new Date(0)];
+      assert.strictEqual(
+        compareValues(values, structuredClone(values)),
+        undefined,
+      );
+      assert.strictEqual(compareValues(undefined, []), undefined);
+    });
+
+    it('throws AssertionError with index and path of difference', () => {
+      const compareValues = streamCompare.makeCompareValues();
+      assert.throws(
+        () => compareValues(
+          [{ a: 1 }, { a: { 'b-c': [1, 2] } }],
+          [{ a: 1 }, { a: { 'b-c': [1, 3] } }],
+        ),
+        (err) => err instanceof assert.AssertionError
+          && err.index === 1
+          && isDeepStrictEqual(err.path, ['a', 'b-c', 1])
+          && err.actual === 2
+          && err.expected === 3
+          && err.message.startsWith(
+            'Values differ at index 1, path a["b-c"][1]:\n  data1: 2\n'
+            + '  data2: 3',
+          ),
+      );
+    });
+
+    it('reports missing values and properties', () => {
+      const compareValues = streamCompare.makeCompareValues();
+      assert.throws(
+        () => compareValues([{ a: 1 }], [{ a: 1, b: 2 }]),
+        (err) => isDeepStrictEqual(err.path, ['b'])
+          && /data1: \(missing\)\n {2}data2: 2/.test(err.message),
+      );
+      assert.throws(
+        () => compareValues([1], [1, 2]),
+        (err) => err.index === 1
+          && isDeepStrictEqual(err.path, [])
+          && /data1: \(ends\)/.test(err.message),
+      );
+    });
+
+    it('ignores properties matching ignorePaths', () => {
+      const compareValues = streamCompare.makeCompareValues({
+        ignorePaths: ['time', 'items.*.id'],
+      });
+      assert.strictEqual(
+        compareValues(
+          [{ time: 1, items: [{ id: 1, v: 'a' }, { id: 2 }] }],
+          [{ time: 2, items: [{ id: 3, v: 'a' }, {}] }],
+        ),
+        undefined,
+      );
+      assert.throws(
+        () => compareValues(
+          [{ items: [{ id: 1, v: 'a' }] }],
+          [{ items: [{ id: 1, v: 'b' }] }],
+        ),
+        (err) => isDeepStrictEqual(err.path, ['items', 0, 'v']),
+      );
+    });
+
+    it('compares numbers within absTolerance or relTolerance', () => {
+      const compareAbs =
+        streamCompare.makeCompareValues({ absTolerance: 0.01 });
+      assert.strictEqual(
+        compareAbs([0.1 + 0.2, [1]], [0.3, [1.005]]),
+        undefined,
+      );
+      assert.throws(
+        () => compareAbs([{ x: 1 }], [{ x: 1.1 }]),
+        (err) => isDeepStrictEqual(err.path, ['x']),
+      );
+
+      const compareRel =
+        streamCompare.makeCompareValues({ relTolerance: 0.1 });
+      assert.strictEqual(compareRel([1000, NaN], [1090, NaN]), undefined);
+      assert.throws(
+        () => compareRel([0.1], [0.2]),
+        assert.AssertionError,
+      );
+    });
+
+    it('treats undefined as missing with undefinedEqualsMissing', () => {
+      const compareStrict = streamCompare.makeCompareValues();
+      assert.throws(
+        () => compareStrict([{ a: 1, b: undefined }], [{ a: 1 }]),
+        (err) => isDeepStrictEqual(err.path, ['b']),
+      );
+
+      const compareValues = streamCompare.makeCompareValues({
+        undefinedEqualsMissing: true,
+      });
+      assert.strictEqual(
+        compareValues([{ a: 1, b: undefined }], [{ a: 1, c: undefined }]),
+        undefined,
+      );
+      assert.throws(
+        () => compareValues([{ b: null }], [{}]),
+        (err) => isDeepStrictEqual(err.path, ['b']),
+      );
+    });
+
+    it('uses equalByType for values of matching type', () => {
+      const calls = [];
+      const compareValues = streamCompare.makeCompareValues({
+        equalByType: new Map([
+          [Date, (date1, date2) => date1.getDate() === date2.getDate()],
+          ['string', (str1, str2, valuePath) => {
+            calls.push(valuePath);
+            return str1.toLowerCase() === str2.toLowerCase();
+          }],
+        ]),
+      });
+      assert.strictEqual(
+        compareValues(
+          [{ d: new Date(2020, 0, 1, 1), s: 'Hello' }],
+          [{ d: new Date(2020, 0, 1, 2), s: 'HELLO' }],
+        ),
+        undefined,
+      );
+      assert.deepStrictEqual(calls, [['s']]);
+      assert.throws(
+        () => compareValues(['a'], [1]),
+        (err) => err.actual === 'a' && err.expected === 1,
+      );
+    });
+
+    it('handles cyclic values', () => {
+      const compareValues = streamCompare.makeCompareValues();
+      const value1 = { a: 1 };
+      value1.self = value1;
+      const value2 = { a: 1 };
+      value2.self = value2;
+      assert.strictEqual(compareValues([value1], [value2]), undefined);
+    });
+
+    it('throws TypeError for invalid options', () => {
+      assert.throws(
+        () => streamCompare.makeCompareValues({ ignorePaths: 'a' }),
+        TypeError,
+      );
+      assert.throws(
+        () => streamCompare.makeCompareValues({ absTolerance: -1 }),
+        RangeError,
+      );
+      assert.throws(
+        () => streamCompare.makeCompareValues({ equalByType: {} }),
+        TypeError,
+      );
+    });
+
+    it('reports stream index when used with makeIncremental', () => {
+      const stream1 = new stream.PassThrough({ objectMode: true });
+      const stream2 = new stream.PassThrough({ objectMode: true });
+      const options = {
+        incremental: streamCompare.makeIncremental(
+          streamCompare.makeCompareValues({ ignorePaths: ['time'] }),
+        ),
+        objectMode: true,
+      };
+      const promise = streamCompare(stream1, stream2, options).then(
+        neverCalled,
+        (err) => {
+          assertInstanceOf(err, assert.AssertionError);
+          assert.strictEqual(err.index, 2);
+          assert.deepStrictEqual(err.path, ['value']);
+        },
+      );
+      stream1.write({ time: 1, value: 'a' });
+      stream2.write({ time: 2, value: 'a' });
+      setImmediate(() => {
+        stream1.write({ time: 3, value: 'b' });
+        stream2.write({ time: 4, value: 'b' });
+        setImmediate(() => {
+          stream1.end({ time: 5, value: 'c' });
+          stream2.end({ time: 6, value: 'd' });
+        });
+      });
+      return promise;
+    });
+  });
+
+  describe('.makeIncremental()', () => {
+    it('makes incremental from a Buffer comparison function', () => {
+      const data1 = [Buffer.from('hello'), Buffer.from('world')];
+      const data2 = [Buffer.from('hello'), Buffer.from('there')];
+      // Use of compareCount in this way is illustrative, but over-specified.
+      // Callers shouldn't depend on this exact behavior.
+      // If this test breaks, it may be rewritten in a less-strict way
+      let compareCount = 0;
+      const compareValue = false;
+      function compareData(incData1, incData2) {
+        assert.deepStrictEqual(incData1, data1[compareCount]);
+        assert.deepStrictEqual(incData2, data2[compareCount]);
+        compareCount += 1;
+        // null/undefined means "continue comparing future data"
+        return incData1.equals(incData2) ? null : compareValue;
+      }
+      function compare(state1, state2) {
+        throw new Error('compare shouldn\'t be called');
+      }
+
+      // Note:  objectMode to prevent write-combining
+      const stream1 = new stream.PassThrough({ objectMode: true });
+      const stream2 = new stream.PassThrough({ objectMode: true });
+      const options = {
+        compare,
+        incremental: streamCompare.makeIncremental(compareData),
+      };
+      const promise = streamCompare(stream1, stream2, options)
+        .then((value) => {
+          assert.strictEqual(value, compareValue);
+        });
+
+      stream1.write(data1[0]);
+      stream2.write(data2[0]);
+      stream1.end(data1[1]);
+      stream2.end(data2[1]);
+
+      return promise;
+    });
+
+    it('makes incremental from an event comparison function', () => {
+      const compareValue = false;
+      function compareEvents(incEvents1, incEvents2) {
+        assertInstanceOf(incEvents1, Array);
+        assertInstanceOf(incEvents2, Array);
+
+        try {
+          assert.assert.deepStrictEqual(incEvents1, incEvents2);
+          // null/undefined means "continue comparing future data"
+          return null;
+        } catch {
+          return compareValue;
+        }
+      }
+      function compare(state1, state2) {
+        throw new Error('compare shouldn\'t be called');
+      }
+
+      const stream1 = new stream.PassThrough();
+      const stream2 = new stream.PassThrough();
+      const options = {
+        compare,
+        incremental: streamCompare.makeIncremental(null, compareEvents),
+      };
+      const promise = streamCompare(stream1, stream2, options)
+        .then((value) => {
+          assert.strictEqual(value, compareValue);
+        });
+
+      stream1.emit('close');
+      stream1.end();
+      stream2.end();
+
+      return promise;
+    });
+
+    it('removes inconclusive data before compare', () => {
+      function compare(state1, state2) {
+        assert.strictEqual(state1.data.length, 0);
+        assert.strictEqual(state2.data.length, 0);
+      }
+
+      // Note:  objectMode to prevent write-combining
+      const stream1 = new stream.PassThrough({ objectMode: true });
+      const stream2 = new stream.PassThrough({ objectMode: true });
+      const options = {
+        compare,
+        incremental: streamCompare.makeIncremental(assert.deepStrictEqual),
+      };
+      const promise = streamCompare(stream1, stream2, options);
+      stream1.write('hello');
+      stream1.end(' world');
+      stream2.write('hello');
+      stream2.end(' world');
+      return promise;
+    });
+
+    // This test is primarily for testing empty string state handling internals
+    it('removes inconclusive string data before compare', () => {
+      function compare(state1, state2) {
+        assert.strictEqual(state1.data.length, 0);
+        assert.strictEqual(state2.data.length, 0);
+      }
+
+      const streamOptions = {
+        encoding: 'utf8',
+        // Note:  objectMode to prevent write-combining
+        objectMode: true,
+      };
+      const stream1 = new stream.PassThrough(streamOptions);
+      const stream2 = new stream.PassThrough(streamOptions);
+      const options = {
+        compare,
+        incremental: streamCompare.makeIncremental(assert.deepStrictEqual),
+      };
+      const promise = streamCompare(stream1, stream2, options);
+      stream1.write('hello');
+      stream1.end(' world');
+      stream2.write('hello');
+      stream2.end(' world');
+      return promise;
+    });
+
+    it('removes inconclusive events before compare', () => {
+      function compare(state1, state2) {
+        assert.strictEqual(state1.events.length, 0);
+        assert.strictEqual(state2.events.length, 0);
+      }
+
+      const stream1 = new stream.PassThrough();
+      const stream2 = new stream.PassThrough();
+      const options = {
+        compare,
+        incremental: streamCompare.makeIncremental(
+          assert.deepStrictEqual,
+          assert.deepStrictEqual,
+        ),
+      };
+      const promise = streamCompare(stream1, stream2, options);
+      stream1.emit('close');
+      stream1.end();
+      stream2.emit('close');
+      stream2.end();
+      return promise;
+    });
+
+    it('doesn\'t return early due to incompleteness', () => {
+      // Note:  objectMode to prevent write-combining
+      const stream1 = new stream.PassThrough({ objectMode: true });
+      const stream2 = new stream.PassThrough({ objectMode: true });
+      const options = {
+        incremental: streamCompare.makeIncremental(assert.deepStrictEqual),
+      };
+      let isDone = false;
+      const promise = streamCompare(stream1, stream2, options).then(() => {
+        isDone = true;
+      });
+      stream1.write('he');
+      stream2.write('hel');
+      stream1.end('llo');
+      stream2.write('l');
+
+      setImmediate(() => {
+        assert.strictEqual(isDone, false);
+        stream2.end('o');
+      });
+
+      return promise;
+    });
+
+    it('returns early if streams differ before ending', () => {
+      const stream1 = new stream.PassThrough();
+      const stream2 = new stream.PassThrough();
+      const options = {
+        incremental: streamCompare.makeIncremental(assert.deepStrictEqual),
+      };
+      const promise = streamCompare(stream1, stream2, options).then(
+        neverCalled,
+        (err) => { assertInstanceOf(err, assert.AssertionError); },
+      );
+      stream1.write('hello');
+      stream2.write('hella');
+      return promise;
+    });
+
+    it('returns early if stream ends early', () => {
+      const stream1 = new stream.PassThrough();
+      const stream2 = new stream.PassThrough();
+      const options = {
+        incremental: streamCompare.makeIncremental(assert.deepStrictEqual),
+      };
+      const promise = streamCompare(stream1, stream2, options).then(
+        neverCalled,
+        (err) => { assertInstanceOf(err, assert.AssertionError); },
+      );
+      // stream1 writes more data than stream2 but doesn't end
+      stream1.write('hello');
+      stream2.end('hell');
+      return promise;
+    });
+
+    it('returns early if stream ends empty', () => {
+      const stream1 = new stream.PassThrough();
+      const stream2 = new stream.PassThrough();
+      const options = {
+        incremental: streamCompare.makeIncremental(assert.deepStrictEqual),
+      };
+      const promise = streamCompare(stream1, stream2, options).then(
+        neverCalled,
+        (err) => { assertInstanceOf(err, assert.AssertionError); },
+      );
+      // stream1 writes more data than stream2 but doesn't end
+      stream1.write('hello');
+      stream2.end();
+      return promise;
+    });
+
+    // Note:  Avoids throwing from compare since 'error' gets thrown and caught
+    // outside of the constructor.
+    it('compares buffered different-data streams as not equal', () => {
+      const incrementalVal = false;
+      const stream1 = new stream.PassThrough();
+      const stream2 = new stream.PassThrough();
+      stream1.end('hello');
+      stream2.end('world');
+      return new Promise((resolve, reject) => {
+        setImmediate(resolve);
+      }).then(() => {
+        const options = {
+          compare: function compare(state1, state2) {
+            throw new Error('compare shouldn\'t be called');
+          },
+          incremental: function incremental(state1, state2) {
+            return incrementalVal;
+          },
+        };
+        return streamCompare(stream1, stream2, options);
+      }).then((result) => {
+        assert.strictEqual(result, incrementalVal);
+      });
+    });
+  });
+
+  describe('.makeUnordered()', () => {
+    function writeValues(writable, values) {
+      for (const value of values) {
+        writable.write(value);
+      }
+      writable.end();
+    }
+
+    it('compares values in any order as equal', () => {
+      const stream1 = new stream.PassThrough({ objectMode: true });
+      const stream2 = new stream.PassThrough({ objectMode: true });
+      const options = {
+        incremental: streamCompare.makeUnordered(),
+        objectMode: true,
+      };
+      const promise = streamCompare(stream1, stream2, options);
+      writeValues(stream1, [{ a: 1, b: 2 }, 'x', [3], 'x']);
+      writeValues(stream2, ['x', [3], 'x', { b: 2, a: 1 }]);
+      return promise;
+    });
+
+    it('removes values from states as it goes', () => {
+      const unordered = streamCompare.makeUnordered();
+      const retained = [];
+      const stream1 = new stream.PassThrough({ objectMode: true });
+      const stream2 = new stream.PassThrough({ objectMode: true });
+      const options = {
+        incremental: (state1, state2) => {
+          const result = unordered(state1, state2);
+          retained.push((state1.data || []).length
+            + (state2.data || []).length);
+          return result;
+        },
+        objectMode: true,
+        readPolicy: 'flowing',
+      };
+      const promise = streamCompare(stream1, stream2, options);
+      writeValues(stream1, [1, 2, 3]);
+      writeValues(stream2, [3, 2, 1]);
+      return promise.then(() => {
+        assert(retained.every((length) => length === 0));
+      });
+    });
+
+    it('reports values only in one stream after both end', () => {
+      let isEnded = false;
+      const stream1 = new stream.PassThrough({ objectMode: true });
+      const stream2 = new stream.PassThrough({ objectMode: true });
+      const options = {
+        incremental: streamCompare.makeUnordered(),
+        objectMode: true,
+      };
+      const promise = streamCompare(stream1, stream2, options).then(
+        neverCalled,
+        (err) => {
+          assert(isEnded);
+          assertInstanceOf(err, assert.AssertionError);
+          assert.deepStrictEqual(err.only1, [{ id: 2 }, 4]);
+          assert.deepStrictEqual(err.only2, [5]);
+          assert.match(err.message, /^3 values are unmatched:\n/);
+          assert.match(err.message, /only in stream1: \[ \{ id: 2 \}, 4 \]/);
+          assert.match(err.message, /only in stream2: \[ 5 \]/);
+        },
+      );
+      stream1.write({ id: 2 });
+      stream2.write(5);
+      setImmediate(() => {
+        isEnded = true;
+        writeValues(stream1, [1, 4]);
+        writeValues(stream2, [1]);
+      });
+      return promise;
+    });
+
+    it('matches by key and compares matched values', () => {
+      const stream1 = new stream.PassThrough({ objectMode: true });
+      const stream2 = new stream.PassThrough({ objectMode: true });
+      const options = {
+        incremental: streamCompare.makeUnordered({
+          key: (value) => value.id,
+        }),
+        objectMode: true,
+      };
+      const promise = streamCompare(stream1, stream2, options).then(
+        neverCalled,
+        (err) => {
+          assertInstanceOf(err, assert.AssertionError);
+          assert.deepStrictEqual(err.actual, { id: 2, v: 'b' });
+          assert.deepStrictEqual(err.expected, { id: 2, v: 'c' });
+        },
+      );
+      writeValues(stream1, [{ id: 1, v: 'a' }, { id: 2, v: 'b' }]);
+      writeValues(stream2, [{ id: 2, v: 'c' }, { id: 1, v: 'a' }]);
+      return promise;
+    });
+
+    it('passes matched values to compare in stream order', () => {
+      const compared = [];
+      const stream1 = new stream.PassThrough({ objectMode: true });
+      const stream2 = new stream.PassThrough({ objectMode: true });
+      const options = {
+        incremental: streamCompare.makeUnordered({
+          compare: (value1, value2) => {
+            compared.push([value1, value2]);
+          },
+          key: (value) => value.id,
+        }),
+        objectMode: true,
+      };
+      const promise = streamCompare(stream1, stream2, options);
+      writeValues(stream1, [{ id: 1, s: 1 }, { id: 2, s: 1 }]);
+      writeValues(stream2, [{ id: 2, s: 2 }, { id: 1, s: 2 }]);
+      return promise.then(() => {
+        assert.deepStrictEqual(compared.toSorted((a, b) => a[0].id - b[0].id), [
+          [{ id: 1, s: 1 }, { id: 1, s: 2 }],
+          [{ id: 2, s: 1 }, { id: 2, s: 2 }],
+        ]);
+      });
+    });
+
+    it('compares events with compareEvents', () => {
+      const stream1 = new stream.PassThrough({ objectMode: true });
+      const stream2 = new stream.PassThrough({ objectMode: true });
+      const options = {
+        events: ['custom', 'end'],
+        incremental: streamCompare.makeUnordered({
+          compareEvents: assert.deepStrictEqual,
+        }),
+        objectMode: true,
+      };
+      const promise = streamCompare(stream1, stream2, options).then(
+        neverCalled,
+        (err) => assertInstanceOf(err, assert.AssertionError),
+      );
+      stream1.emit('custom', 1);
+      stream2.emit('custom', 2);
+      writeValues(stream1, [1]);
+      writeValues(stream2, [1]);
+      return promise;
+    });
+
+    it('throws TypeError for non-objectMode data', () => {
+      const unordered = streamCompare.makeUnordered();
+      assert.throws(
+        () => unordered({ data: 'a' }, { data: 'a' }),
+        TypeError,
+      );
+    });
+
+    it('throws TypeError for invalid options', () => {
+      assert.throws(
+        () => streamCompare.makeUnordered({ key: 'id' }),
+        TypeError,
+      );
+    });
+  });
+
+  describe('.processes()', () => {
+    function spawnNode(script, options) {
+      return spawn(process.execPath, ['-e', script], options);
+    }
+
+    it('resolves for same output and exit status', async () => {
+      const script = 'console.log("out"); console.error("err")';
+      const result = await streamCompare.processes(
+        spawnNode(script),
+        spawnNode(script),
+        assert.deepStrictEqual,
+      );
+      assert.strictEqual(result, undefined);
+    });
+
+    it('compares output written after the other process exits', async () => {
+      // Write output once stdin ends, which happens after child2 exits
+      const child1 = spawnNode(
+        'process.stdin.resume().on("end", () => console.log("out"))',
+        { stdio: ['pipe', 'pipe', 'pipe'] },
+      );
+      const child2 = spawnNode('console.log("out")');
+      child2.once('exit', () => setImmediate(() => child1.stdin.end()));
+      const result = await streamCompare.processes(
+        child1,
+        child2,
+        assert.deepStrictEqual,
+      );
+      assert.strictEqual(result, undefined);
+    });
+
+    it('compares exit and close events with code and signal', async () => {
+      const results = [];
+      await streamCompare.processes(
+        spawnNode('process.exitCode = 3'),
+        spawnNode('process.exitCode = 3'),
+        (state1, state2) => {
+          assert.deepStrictEqual(state1, state2);
+          results.push(state1.events);
+        },
+      );
+      assert.deepStrictEqual(results.at(-1), [
+        { name: 'exit', args: [3, null] },
+        { name: 'close', args: [3, null] },
+      ]);
+    });
+
+    it('rejects for different exit codes', async () => {
+      await assert.rejects(
+        streamCompare.processes(
+          spawnNode('process.exitCode = 0'),
+          spawnNode('process.exitCode = 1'),
+          assert.deepStrictEqual,
+        ),
+        assert.AssertionError,
+      );
+    });
+
+    it('rejects for different stderr', async () => {
+      const incremental = streamCompare.makeIncremental(
+        streamCompare.makeCompareData(),
+        assert.deepStrictEqual,
+      );
+      await assert.rejects(
+        streamCompare.processes(
+          spawnNode('console.error("a")'),
+          spawnNode('console.error("b")'),
+          incremental,
+        ),
+        (err) => err instanceof assert.AssertionError && err.offset === 0,
+      );
+    });
+
+    it('prefers stdout difference over exit difference', async () => {
+      const incremental = streamCompare.makeIncremental(
+        streamCompare.makeCompareData(),
+        assert.deepStrictEqual,
+      );
+      await assert.rejects(
+        streamCompare.processes(
+          spawnNode('console.log("same"); process.exitCode = 1'),
+          spawnNode('console.log("diff"); process.exitCode = 2'),
+          incremental,
+        ),
+        (err) => err instanceof assert.AssertionError && err.offset === 0,
+      );
+    });
+
+    it('uses options.stdout and options.stderr for each output', async () => {
+      function makeIncremental() {
+        return streamCompare.makeIncremental(
+          streamCompare.makeCompareData(),
+          assert.deepStrictEqual,
+        );
+      }
+
+      await assert.rejects(
+        streamCompare.processes(
+          spawnNode('console.log("out"); console.error("err1")'),
+          spawnNode('console.log("out"); console.error("err2")'),
+          {
+            incremental: assert.deepStrictEqual,
+            stderr: { incremental: makeIncremental() },
+            stdout: { incremental: makeIncremental() },
+          },
+        ),
+        (err) => err instanceof assert.AssertionError && err.offset === 3,
+      );
+    });
+
+    it('settles after both processes close', async () => {
+      // Write more than a pipe buffer after the difference
+      const script = (prefix) => `process.stdout.write(${
+        JSON.stringify(prefix)} + "x".repeat(1024 * 1024))`;
+      const child1 = spawnNode(script('a'));
+      const child2 = spawnNode(script('b'));
+      const incremental = streamCompare.makeIncremental(
+        streamCompare.makeCompareData(),
+      );
+      await assert.rejects(
+        streamCompare.processes(child1, child2, {
+          compare: neverCalled,
+          incremental,
+        }),
+        assert.AssertionError,
+      );
+      assert.strictEqual(child1.exitCode, 0);
+      assert.strictEqual(child2.exitCode, 0);
+    });
+
+    it('compares processes without piped output', async () => {
+      const result = await streamCompare.processes(
+        spawnNode('', { stdio: 'ignore' }),
+        spawnNode('', { stdio: 'ignore' }),
+        (state1, state2) => {
+          assert.deepStrictEqual(state1, state2);
+          return state1.events.length;
+        },
+      );
+      assert.strictEqual(result, 2);
+    });
+
+    it('throws TypeError if only one process has piped stdout', () => {
+      const child1 = spawnNode('', { stdio: 'ignore' });
+      const child2 = spawnNode('', { stdio: ['ignore', 'pipe', 'ignore'] });
+      try {
+        assert.throws(
+          () => streamCompare.processes(child1, child2, neverCalled),
+          TypeError,
+        );
+      } finally {
+        child2.stdout.resume();
+      }
+    });
+
+    for (const outputName of ['stdout', 'stderr']) {
+      it(`throws TypeError for non-object options.${outputName}`, () => {
+        assert.throws(
+          () => {
+            streamCompare.processes(new EventEmitter(), new EventEmitter(), {
+              compare: neverCalled,
+              [outputName]: true,
+            });
+          },
+          (err) => err instanceof TypeError
+            && err.message.includes(`options.${outputName}`),
+        );
+      });
+    }
+  });
+
+  describe('.responses()', () => {
+    const handlers = {
+      '/gzip': (req, res) => {
+        res.setHeader('Content-Encoding', 'gzip');
+        zlib.gzip('hello', (err, compressed) => {
+          if (err) {
+            res.destroy(err);
+          } else {
+            res.end(compressed);
+          }
+        });
+      },
+      '/hello': (req, res) => {
+        res.setHeader('Content-Type', 'text/plain');
+        res.end('hello');
+      },
+      '/hello-html': (req, res) => {
+        res.setHeader('Content-Type', 'text/html');
+        res.end('hello');
+      },
+      '/missing': (req, res) => {
+        res.statusCode = 404;
+        res.setHeader('Content-Type', 'text/plain');
+        res.end('hello');
+      },
+      '/plain': (req, res) => {
+        res.end('hello');
+      },
+      '/trailers': (req, res) => {
+        res.setHeader('Trailer', 'X-Checksum');
+        res.write('hello');
+        res.addTrailers({ 'X-Checksum': 'abc' });
+        res.end();
+      },
+    };
+
+    let server;
+    let baseUrl;
+    before(async () => {
+      server = http.createServer((req, res) => handlers[req.url](req, res));
+      server.listen(0, '127.0.0.1');
+      await once(server, 'listening');
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+    after(() => {
+      server.closeAllConnections();
+      server.close();
+    });
+
+    async function get(urlPath) {
+      const req = http.get(`${baseUrl}${urlPath}`);
+      const [res] = await once(req, 'response');
+      return res;
+    }
+
+    async function compareGets(urlPath1, urlPath2, optionsOrCompare) {
+      const [res1, res2] = await Promise.all([get(urlPath1), get(urlPath2)]);
+      return streamCompare.responses(res1, res2, optionsOrCompare);
+    }
+
+    it('records status and headers as response event', async () => {
+      const result = await compareGets('/hello', '/hello', (state1, state2) => {
+        assert.deepStrictEqual(state1, state2);
+        return state1;
+      });
+      const responseEvent = result.events[0];
+      assert.strictEqual(responseEvent.name, 'response');
+      const { statusCode, headers } = responseEvent.args[0];
+      assert.strictEqual(statusCode, 200);
+      assert.strictEqual(headers['content-type'], 'text/plain');
+      assert(!Object.hasOwn(headers, 'date'), 'date is ignored by default');
+      const headerNames = Object.keys(headers);
+      assert(
+        headerNames.every((name, i) => i === 0 || headerNames[i - 1] < name),
+        'headers are sorted',
+      );
+      assert.deepStrictEqual(result.data, Buffer.from('hello'));
+    });
+
+    it('detects different status codes', async () => {
+      await assert.rejects(
+        compareGets('/hello', '/missing', assert.deepStrictEqual),
+        assert.AssertionError,
+      );
+    });
+
+    it('detects different headers', async () => {
+      await assert.rejects(
+        compareGets('/hello', '/hello-html', assert.deepStrictEqual),
+        assert.AssertionError,
+      );
+    });
+
+    it('omits headers in ignoreHeaders', async () => {
+      await compareGets('/hello', '/hello-html', {
+        compare: assert.deepStrictEqual,
+        ignoreHeaders: ['Content-Type', 'date'],
+      });
+    });
+
+    it('records trailers as trailers event', async () => {
+      const result = await compareGets('/trailers', '/trailers', {
+        compare: (state1, state2) => state1.events,
+        ignoreHeaders: [],
+      });
+      assert.deepStrictEqual(
+        result.map((event) => event.name),
+        ['response', 'trailers', 'end', 'close'],
+      );
+      assert.deepStrictEqual(result[1].args, [{ 'x-checksum': 'abc' }]);
+    });
+
+    it('compares encoded body without decodeContent', async () => {
+      await assert.rejects(
+        compareGets('/gzip', '/plain', assert.deepStrictEqual),
+        assert.AssertionError,
+      );
+    });
+
+    it('decodes body and omits encoding with decodeContent', async () => {
+      const result = await compareGets('/gzip', '/plain', {
+        compare: (state1, state2) => {
+          assert.deepStrictEqual(state1, state2);
+          return state1;
+        },
+        decodeContent: true,
+      });
+      assert.deepStrictEqual(result.data, Buffer.from('hello'));
+    });
+
+    it('throws TypeError for non-response', () => {
+      assert.throws(
+        () => streamCompare.responses(
+          new stream.PassThrough(),
+          new stream.PassThrough(),
+          assert.deepStrictEqual,
+        ),
+        TypeError,
+      );
+    });
+  });
+
+  describe('.snapshot()', () => {
+    let tempDir;
+    before(async () => {
+      tempDir = await mkdtemp(path.join(os.tmpdir(), 'stream-compare-'));
+    });
+    after(() => rm(tempDir, { force: true, recursive: true }));
+
+    let snapshotCount = 0;
+    function getSnapshotPath() {
+      snapshotCount += 1;
+      return path.join(tempDir, `snapshot${snapshotCount}.json`);
+    }
+
+    function recordSnapshot(file, writes, options) {
+      const recorded = new stream.PassThrough(options);
+      const promise = streamCompare.snapshot(recorded, file, {
+        ...options,
+        update: true,
+      });
+      for (const data of writes) {
+        recorded.write(data);
+      }
+      recorded.end();
+      return promise;
+    }
+
+    it('resolves undefined after recording in update mode', async () => {
+      const file = getSnapshotPath();
+      const result = await recordSnapshot(file, ['hello', 'world']);
+      assert.strictEqual(result, undefined);
+      const recorded = JSON.parse(await readFile(file, 'utf8'));
+      assert.deepStrictEqual(recorded.events[0], { name: 'end', args: [] });
+    });
+
+    it('does not call compare or incremental in update mode', async () => {
+      const file = getSnapshotPath();
+      const recorded = new stream.PassThrough();
+      const promise = streamCompare.snapshot(recorded, file, {
+        compare: neverCalled,
+        incremental: neverCalled,
+        update: true,
+      });
+      recorded.end('hello');
+      await promise;
+    });
+
+    it('compares stream with recorded Buffer data', async () => {
+      const file = getSnapshotPath();
+      await recordSnapshot(file, [Buffer.from('hello'), Buffer.from('world')]);
+
+      const live = new stream.PassThrough();
+      const promise = streamCompare.snapshot(live, file, (state1, state2) => {
+        assert.deepStrictEqual(state1, state2);
+        assert.deepStrictEqual(state2.data, Buffer.from('helloworld'));
+        return true;
+      });
+      live.write('hello');
+      live.end('world');
+      assert.strictEqual(await promise, true);
+    });
+
+    it('detects data which differs from the recording', async () => {
+      const file = getSnapshotPath();
+      await recordSnapshot(file, ['hello']);
+
+      const live = new stream.PassThrough();
+      const promise = streamCompare.snapshot(live, file, {
+        incremental: streamCompare.makeIncremental(
+          streamCompare.makeCompareData(),
+        ),
+      });
+      live.end('help!');
+      await assert.rejects(
+        promise,
+        (err) => err instanceof assert.AssertionError && err.offset === 3,
+      );
+    });
+
+    it('replays recorded Error event arguments', async () => {
+      const file = getSnapshotPath();
+      const recorded = new stream.PassThrough();
+      const recordPromise = streamCompare.snapshot(recorded, file, {
+        eventArgs: (args) => args,
+        update: true,
+      });
+      const recordedErr = new RangeError('test');
+      recordedErr.code = 'ETEST';
+      recorded.emit('error', recordedErr);
+      await recordPromise;
+
+      const live = new stream.PassThrough();
+      const promise = streamCompare.snapshot(live, file, {
+        compare: (state1, state2) => {
+          assert.deepStrictEqual(state1.events, state2.events);
+          return state2.events[0].args[0];
+        },
+        eventArgs: (args) => args,
+      });
+      const liveErr = new RangeError('test');
+      liveErr.code = 'ETEST';
+      live.emit('error', liveErr);
+      const replayedErr = await promise;
+      assertInstanceOf(replayedErr, RangeError);
+      assert.strictEqual(replayedErr.message, 'test');
+      assert.strictEqual(replayedErr.code, 'ETEST');
+    });
+
+    it('preserves objects, undefined, and Buffers in objectMode', async () => {
+      const file = getSnapshotPath();
+      const objects = [
+        { $type: 'notatype', value: undefined },
+        Buffer.from('buf'),
+        [undefined, null],
+      ];
+      await recordSnapshot(file, objects, { objectMode: true });
+
+      const live = new stream.PassThrough({ objectMode: true });
+      const promise = streamCompare.snapshot(live, file, {
+        compare: (state1, state2) => {
+          assert.deepStrictEqual(state2.data, objects);
+          assert.deepStrictEqual(state1, state2);
+        },
+        objectMode: true,
+      });
+      for (const obj of objects) {
+        live.write(obj);
+      }
+      live.end();
+      await promise;
+    });
+
+    it('replays recorded data events in order with other events', async () => {
+      const file = getSnapshotPath();
+      const options = {
+        events: ['data', 'end', 'marker'],
+        readPolicy: 'flowing',
+      };
+      const recorded = new stream.PassThrough();
+      const recordPromise = streamCompare.snapshot(recorded, file, {
+        ...options,
+        update: true,
+      });
+      recorded.write('a');
+      // Wait for data to be read before emitting event
+      await new Promise(setImmediate);
+      recorded.emit('marker');
+      recorded.end('b');
+      await recordPromise;
+
+      const live = new stream.PassThrough();
+      const promise = streamCompare.snapshot(live, file, {
+        ...options,
+        compare: (state1, state2) => {
+          assert.deepStrictEqual(
+            state2.events.map((event) => event.name),
+            ['data', 'marker', 'data', 'end'],
+          );
+          assert.deepStrictEqual(state1, state2);
+        },
+      });
+      live.write('a');
+      await new Promise(setImmediate);
+      live.emit('marker');
+      live.end('b');
+      await promise;
+    });
+
+    for (const readPolicy of ['least', 'none']) {
+      it(`replays recorded data events for '${readPolicy}'`, async () => {
+        const file = getSnapshotPath();
+        const makeStream =
+          () => stream.Readable.from([Buffer.from('ab'), Buffer.from('cd')]);
+        const options = {
+          events: ['data', 'end', 'close'],
+          readPolicy,
+        };
+        await streamCompare.snapshot(makeStream(), file, {
+          ...options,
+          update: true,
+        });
+
+        await streamCompare.snapshot(makeStream(), file, {
+          ...options,
+          compare: (state1, state2) => {
+            assert.strictEqual(
+              state2.events.filter((event) => event.name === 'data').length,
+              2,
+            );
+            assert.deepStrictEqual(state1, state2);
+          },
+        });
+      });
+    }
+
+    it('replays objectMode values shaped like normalized Buffers', async () => {
+      const file = getSnapshotPath();
+      const value = { type: 'Buffer', hex: '6869' };
+      const options = {
+        // Record replayed values without normalization
+        eventArgs: (args) => args,
+        events: ['data', 'end'],
+        objectMode: true,
+        readPolicy: 'flowing',
+      };
+      await recordSnapshot(file, [value], options);
+
+      const live = new stream.PassThrough(options);
+      const promise = streamCompare.snapshot(live, file, {
+        ...options,
+        compare: (state1, state2) => {
+          assert.deepStrictEqual(state2.events[0], {
+            name: 'data',
+            args: [value],
+          });
+          assert.deepStrictEqual(state1, state2);
+        },
+      });
+      live.end(value);
+      await promise;
+    });
+
+    it('replays with readPolicy none', async () => {
+      const file = getSnapshotPath();
+      await recordSnapshot(file, ['hello']);
+
+      const live = new stream.PassThrough();
+      const promise = streamCompare.snapshot(live, file, {
+        compare: (state1, state2) => assert.deepStrictEqual(state1, state2),
+        readPolicy: 'none',
+      });
+      live.end('hello');
+      live.resume();
+      await promise;
+    });
+
+    it('replaces previous recording in update mode', async () => {
+      const file = getSnapshotPath();
+      await writeFile(file, 'not JSON');
+      await recordSnapshot(file, ['hello']);
+      const recorded = JSON.parse(await readFile(file, 'utf8'));
+      assert.deepStrictEqual(
+        recorded.data,
+        { $type: 'Buffer', hex: Buffer.from('hello').toString('hex') },
+      );
+    });
+
+    it('throws if recording does not exist', () => {
+      const file = path.join(tempDir, 'nonexistent.json');
+      assert.throws(
+        () => streamCompare.snapshot(new stream.PassThrough(), file, () => {}),
+        (err) => err.code === 'ENOENT',
+      );
+    });
+
+    it('throws if recording is not valid JSON', async () => {
+      const file = getSnapshotPath();
+      await writeFile(file, 'not JSON');
+      assert.throws(
+        () => streamCompare.snapshot(new stream.PassThrough(), file, () => {}),
+        SyntaxError,
+      );
+    });
+  });
+
+  describe('.toValue()', () => {
+    function compareData(state1, state2) {
+      assert.deepStrictEqual(state1.data, state2.data);
+      return true;
+    }
+
+    it('compares with expected string', async () => {
+      const actual = new stream.PassThrough({ encoding: 'utf8' });
+      const promise = streamCompare.toValue(actual, 'hello', compareData);
+      actual.end('hello');
+      assert.strictEqual(await promise, true);
+    });
+
+    it('compares with expected Buffer', async () => {
+      const actual = new stream.PassThrough();
+      const promise = streamCompare.toValue(
+        actual,
+        Buffer.from('hello'),
+        compareData,
+      );
+      actual.write('hel');
+      actual.end('lo');
+      assert.strictEqual(await promise, true);
+    });
+
+    it('compares expected events', async () => {
+      const actual = new stream.PassThrough();
+      const promise = streamCompare.toValue(
+        actual,
+        Buffer.from('hello'),
+        assert.deepStrictEqual,
+      );
+      actual.end('hello');
+      await promise;
+    });
+
+    it('detects difference before stream ends when incremental', async () => {
+      const actual = new stream.PassThrough();
+      const promise = streamCompare.toValue(actual, Buffer.from('hello'), {
+        compare: neverCalled,
+        incremental: streamCompare.makeIncremental(
+          streamCompare.makeCompareData(),
+        ),
+      });
+      actual.write('help');
+      await assert.rejects(
+        promise,
+        (err) => err instanceof assert.AssertionError && err.offset === 3,
+      );
+    });
+
+    it('compares with expected Array values in objectMode', async () => {
+      const expected = [{ a: 1 }, 'b', Buffer.from('c')];
+      const actual = new stream.PassThrough({ objectMode: true });
+      const promise = streamCompare.toValue(actual, expected, {
+        compare: compareData,
+        objectMode: true,
+      });
+      for (const value of expected) {
+        actual.write(value);
+      }
+      actual.end();
+      assert.strictEqual(await promise, true);
+    });
+
+    it('concatenates expected Array chunks without objectMode', async () => {
+      const actual = new stream.PassThrough({ encoding: 'utf8' });
+      const promise =
+        streamCompare.toValue(actual, ['hel', 'lo'], compareData);
+      actual.end('hello');
+      assert.strictEqual(await promise, true);
+    });
+
+    it('lazily reads chunks from expected generator function', async () => {
+      let yieldCount = 0;
+      function* generateExpected() {
+        for (const chunk of ['a', 'b', 'c']) {
+          yieldCount += 1;
+          yield chunk;
+        }
+      }
+
+      const actual = new stream.PassThrough({ encoding: 'utf8' });
+      const promise = streamCompare.toValue(actual, generateExpected, {
+        compare: neverCalled,
+        incremental: streamCompare.makeIncremental(
+          streamCompare.makeCompareData(),
+        ),
+      });
+      actual.write('x');
+      await assert.rejects(promise, assert.AssertionError);
+      assert(yieldCount < 3, `generator advanced ${yieldCount} times`);
+    });
+
+    it('compares with expected async iterable', async () => {
+      async function* generateExpected() {
+        yield 'hel';
+        yield 'lo';
+      }
+
+      const actual = new stream.PassThrough({ encoding: 'utf8' });
+      const promise =
+        streamCompare.toValue(actual, generateExpected(), compareData);
+      actual.end('hello');
+      assert.strictEqual(await promise, true);
+    });
+
+    it('compares with expected file URL', async () => {
+      const tempDir =
+        await mkdtemp(path.join(os.tmpdir(), 'stream-compare-'));
+      try {
+        const file = path.join(tempDir, 'expected.txt');
+        await writeFile(file, 'hello');
+
+        const actual = new stream.PassThrough();
+        const promise = streamCompare.toValue(
+          actual,
+          pathToFileURL(file),
+          compareData,
+        );
+        actual.end('hello');
+        assert.strictEqual(await promise, true);
+      } finally {
+        await rm(tempDir, { force: true, recursive: true });
+      }
+    });
+
+    it('reads expected value with readPolicy none', async () => {
+      const actual = new stream.PassThrough({ encoding: 'utf8' });
+      const promise = streamCompare.toValue(actual, 'hello', {
+        compare: (state1, state2) => {
+          assert.strictEqual(state1.data, undefined);
+          assert.strictEqual(state2.data, undefined);
+          assert.deepStrictEqual(state1.events, state2.events);
+        },
+        readPolicy: 'none',
+      });
+      actual.end('hello');
+      actual.resume();
+      await promise;
+    });
+
+    it('throws TypeError for unsupported expected value', () => {
+      assert.throws(
+        () => streamCompare.toValue(new stream.PassThrough(), 1, () => {}),
+        TypeError,
+      );
+    });
+  });
+
+  describe('.transforms()', () => {
+    function makeUpperCase(options) {
+      return new stream.Transform({
+        ...options,
+        transform(chunk, encoding, callback) {
+          callback(undefined, String(chunk).toUpperCase());
+        },
+      });
+    }
+
+    function makeRepeat(count, options) {
+      return new stream.Transform({
+        ...options,
+        transform(chunk, encoding, callback) {
+          for (let i = 1; i < count; i += 1) {
+            this.push(chunk);
+          }
+          callback(undefined, chunk);
+        },
+      });
+    }
+
+    it('compares output of transforms given the same input', async () => {
+      const input = new stream.PassThrough();
+      const promise = streamCompare.transforms(
+        input,
+        makeUpperCase(),
+        makeUpperCase(),
+        (state1, state2) => {
+          assert.deepStrictEqual(state1, state2);
+          assert.deepStrictEqual(state1.data, Buffer.from('HELLO'));
+          return true;
+        },
+      );
+      input.write('hel');
+      input.end('lo');
+      assert.strictEqual(await promise, true);
+    });
+
+    it('detects differences in output', async () => {
+      const promise = streamCompare.transforms(
+        'hello',
+        makeUpperCase(),
+        new stream.PassThrough(),
+        assert.deepStrictEqual,
+      );
+      await assert.rejects(promise, assert.AssertionError);
+    });
+
+    it('reads input from generator function', async () => {
+      function* generateInput() {
+        yield 'hel';
+        yield 'lo';
+      }
+
+      const promise = streamCompare.transforms(
+        generateInput,
+        new stream.PassThrough(),
+        new stream.PassThrough(),
+        (state1, state2) => {
+          assert.deepStrictEqual(state1, state2);
+          assert.deepStrictEqual(state1.data, Buffer.from('hello'));
+        },
+      );
+      await promise;
+    });
+
+    it('respects backpressure of each transform', async () => {
+      const transforms = [
+        makeRepeat(64, { highWaterMark: 4 }),
+        makeRepeat(1, { highWaterMark: 4 }),
+      ];
+      for (const transform of transforms) {
+        const { write } = transform;
+        let needDrain = false;
+        transform.on('drain', () => {
+          needDrain = false;
+        });
+        transform.write = function(...args) {
+          assert(!needDrain, 'write called before drain');
+          needDrain = !write.apply(this, args);
+          return !needDrain;
+        };
+      }
+
+      const input = Array.from({ length: 64 }, (v, i) => String(i % 10));
+      const promise = streamCompare.transforms(
+        input,
+        transforms[0],
+        transforms[1],
+        {
+          compare: (state1, state2) => {
+            assert.strictEqual(state1.totalDataLen, 64 * 64);
+            assert.strictEqual(state2.totalDataLen, 64);
+            return true;
+          },
+          // Output of transforms[0] is not read by 'least' while waiting
+          readPolicy: 'flowing',
+        },
+      );
+      assert.strictEqual(await promise, true);
+    });
+
+    it('stops reading input while a transform is over maxPendingInput', () => {
+      const chunkCount = 200;
+      const maxPendingInput = 4;
+      let pullCount = 0;
+      function* generate() {
+        for (let i = 0; i < chunkCount; i += 1) {
+          pullCount += 1;
+          yield Buffer.alloc(1024, i % 10);
+        }
+      }
+
+      let slowCount = 0;
+      let maxLead = 0;
+      const slowTransform = new stream.Transform({
+        highWaterMark: 1024,
+        transform(chunk, encoding, callback) {
+          slowCount += 1;
+          maxLead = Math.max(maxLead, pullCount - slowCount);
+          setTimeout(callback, 0, undefined, chunk);
+        },
+      });
+
+      return streamCompare.transforms(
+        generate,
+        new stream.PassThrough(),
+        slowTransform,
+        {
+          compare: (state1, state2) => {
+            assert.strictEqual(state1.totalDataLen, chunkCount * 1024);
+            assert.strictEqual(state2.totalDataLen, chunkCount * 1024);
+          },
+          maxPendingInput,
+        },
+      ).then(() => {
+        // Allow chunks buffered by the input and transform streams
+        assert(
+          maxLead <= maxPendingInput + 3,
+          `read ${maxLead} chunks ahead of slow transform`,
+        );
+      });
+    });
+
+    it('throws RangeError for maxPendingInput less than 1', () => {
+      assert.throws(
+        () => {
+          streamCompare.transforms(
+            'hello',
+            new stream.PassThrough(),
+            new stream.PassThrough(),
+            { compare: assert.deepStrictEqual, maxPendingInput: 0 },
+          );
+        },
+        (err) => err instanceof RangeError
+          && /\boptions\.maxPendingInput\b/.test(err.message),
+      );
+    });
+
+    it('compares Writable events in options.events', async () => {
+      const promise = streamCompare.transforms(
+        'hello',
+        new stream.PassThrough(),
+        new stream.PassThrough(),
+        {
+          compare: (state1, state2) => {
+            assert.deepStrictEqual(state1.events, state2.events);
+            return state1.events.map((event) => event.name);
+          },
+          events: ['end', 'finish'],
+        },
+      );
+      const eventNames = await promise;
+      assert(eventNames.includes('finish'));
+      assert(eventNames.includes('end'));
+    });
+
+    it('destroys transforms with input error', async () => {
+      const input = new stream.PassThrough();
+      const errTest = new Error('test');
+      const promise = streamCompare.transforms(
+        input,
+        new stream.PassThrough(),
+        new stream.PassThrough(),
+        (state1, state2) => {
+          assert.deepStrictEqual(state1.events, state2.events);
+          return state1.events.find((event) => event.name === 'error');
+        },
+      );
+      input.emit('error', errTest);
+      const errorEvent = await promise;
+      assert.deepStrictEqual(
+        errorEvent.args[0],
+        { name: 'Error', message: 'test' },
+      );
+    });
+
+    it('throws TypeError for non-Writable stream', () => {
+      assert.throws(
+        () => streamCompare.transforms(
+          'hello',
+          new stream.PassThrough(),
+          new EventEmitter(),
+          () => {},
+        ),
+        TypeError,
+      );
     });
   });
 });